@@ -1,336 +1,2519 @@
 // background.js
 // This script runs in the background and handles URL recording and storage.
 
+importScripts("matcher.js", "rules.js");
+
 let DEBUG_MODE = false; // Global flag for debugging
-let cachedRecordedUrls = []; // Global in-memory cache for recorded URLs
-let cachedTargetPatterns = []; // Global in-memory cache for target patterns
-let isUrlSimplificationEnabled = false; // New flag for URL simplification
-let ignoredUrlParams = []; // New array for parameters to ignore
+let cachedUrlCount = 0; // Global in-memory count of the current project's recorded URLs, for the badge
+let projects = []; // Recording projects, each with its own patterns, simplification settings and URLs
+let currentProjectId = null; // The project the popup and the dashboard show and edit
+let compiledProjects = []; // Active projects with their patterns compiled, see compileActiveProjects
+let projectParamMatchers = new Map(); // Project id -> its ignoredUrlParams, compiled
+let isNetworkCaptureEnabled = false; // Whether requests seen by webRequest are recorded
+let networkResourceTypes = []; // webRequest resource types to capture
+let extractionRules = []; // Rules the content script extracts URLs with, see rules.js
+let rewriteRules = []; // Rewrite rule lines applied to found URLs, see matcher.js
+let compiledRewriteRules = []; // Rules compiled from rewriteRules
+let isDataAttributeScanEnabled = false; // Whether content scripts read any data-* attribute holding a URL
+let textScanLimit = 0; // Text nodes content scripts scan per page at most, 0 for no limit
+let isRecordingPaused = false; // Whether recording is paused everywhere
+let siteAllowlist = []; // Sites to record on exclusively, when not empty
+let siteDenylist = []; // Sites never to record on, winning over the allowlist
+let compiledSiteAllowlist = []; // Matchers compiled from siteAllowlist
+let compiledSiteDenylist = []; // Matchers compiled from siteDenylist
+
+// Content scripts are registered at runtime, so they only run where recording is active
+const CONTENT_SCRIPT_IDS = ["shadow-hook", "content"];
+let contentScriptUpdateChain = Promise.resolve(); // Serializes re-registrations
+
+// Covers API calls, streaming segments and beacons, which the DOM never shows
+const DEFAULT_NETWORK_RESOURCE_TYPES = [
+  "xmlhttprequest",
+  "media",
+  "ping",
+  "other",
+];
+const MAX_PENDING_REQUESTS = 1000; // Requests awaiting completion before the oldest are dropped
+
+// Settings of the URLs recorded before projects, moved into the default project
+const LEGACY_PROJECT_SETTING_KEYS = [
+  "targetPatterns",
+  "excludePatterns",
+  "isUrlSimplificationEnabled",
+  "ignoredUrlParams",
+];
+const DEFAULT_PROJECT_ID = "default";
+
+const DB_NAME = "urlRecorder";
+const DB_VERSION = 3;
+const URL_STORE = "recordedUrls"; // Object store holding one record per project and deduplication key
+const META_STORE = "meta"; // Object store for bookkeeping values such as the last flushed batch
+const DEFAULT_PAGE_SIZE = 500; // Records returned per getRecordedUrls call by default
+const UNDO_RECORDS_KEY = "undoRecords"; // Meta store key of the records removed by the last delete or clear
+const REKEY_DELAY = 1000; // milliseconds to wait for simplification settings to settle
+let rekeyTimer; // Timer for debouncing re-keying after simplification changes
+const projectsToRekey = new Set(); // Ids of the projects whose simplification settings changed
+
+const FLUSH_DELAY = 250; // milliseconds to collect new URLs before writing them
+const WRITE_QUEUE_JOURNAL_KEY = "writeQueueJournal"; // chrome.storage.session key of unflushed batches
+let nextBatchId = 1; // Id of the next write batch, increasing across service worker restarts
+let openBatch = null; // Batch currently collecting URLs: { id, records: Map<batch key, record> }
+let unflushedBatches = []; // Batches not yet committed to IndexedDB, oldest first
+let flushTimer = null; // Timer for flushing the open batch
+let isJournalWriteScheduled = false; // Whether a journal write is already queued
+let storageTaskChain = Promise.resolve(); // Serializes flushes, clears and re-keying
+
+const LIVE_FEED_PORT_NAME = "liveFeed"; // Name of the ports side panels subscribe with
+const liveFeedPorts = new Set(); // Ports of the open side panels
 
 /**
- * Initializes the in-memory caches from chrome.storage.local.
+ * Initializes the in-memory caches from chrome.storage.local and moves any
+ * recorded URLs still kept in chrome.storage.local into IndexedDB.
  * This function runs immediately when the service worker script loads.
  */
 async function initializeCaches() {
   const result = await chrome.storage.local.get([
-    "targetPatterns",
+    "projects",
+    "currentProjectId",
+    ...LEGACY_PROJECT_SETTING_KEYS,
     "recordedUrls",
     "isDebugMode",
-    "isUrlSimplificationEnabled",
-    "ignoredUrlParams",
+    "isNetworkCaptureEnabled",
+    "networkResourceTypes",
+    "extractionRules",
+    "rewriteRules",
+    "isDataAttributeScanEnabled",
+    "textScanLimit",
+    "isRecordingPaused",
+    "siteAllowlist",
+    "siteDenylist",
   ]);
 
   // Initialize caches
-  cachedTargetPatterns = result.targetPatterns || [];
-  cachedRecordedUrls = result.recordedUrls || [];
   DEBUG_MODE = result.isDebugMode || false;
-  isUrlSimplificationEnabled = result.isUrlSimplificationEnabled || false;
-  ignoredUrlParams = result.ignoredUrlParams || [];
+  isNetworkCaptureEnabled = result.isNetworkCaptureEnabled || false;
+  networkResourceTypes =
+    result.networkResourceTypes || DEFAULT_NETWORK_RESOURCE_TYPES;
+  extractionRules = result.extractionRules || DEFAULT_EXTRACTION_RULES;
+  rewriteRules = result.rewriteRules || [];
+  compiledRewriteRules = compileStoredRewriteRules(rewriteRules);
+  isDataAttributeScanEnabled = result.isDataAttributeScanEnabled || false;
+  textScanLimit = result.textScanLimit || 0;
+  isRecordingPaused = result.isRecordingPaused || false;
+  siteAllowlist = result.siteAllowlist || [];
+  siteDenylist = result.siteDenylist || [];
+  compiledSiteAllowlist = compileSitePatterns(siteAllowlist).matchers;
+  compiledSiteDenylist = compileSitePatterns(siteDenylist).matchers;
+  if (result.projects === undefined) {
+    await migrateSettingsToProjects(result);
+  } else {
+    applyProjects(result.projects);
+    applyCurrentProject(result.currentProjectId);
+  }
+
+  if (result.recordedUrls !== undefined) {
+    await migrateStorageToDatabase(result.recordedUrls);
+  }
+  cachedUrlCount = await countRecordedUrls(currentProjectId);
+  await restoreWriteQueue();
 
   if (DEBUG_MODE) {
+    console.log("Background: Loaded initial projects:", projects);
     console.log(
-      "Background: Loaded initial cachedTargetPatterns:",
-      cachedTargetPatterns,
-    );
-    console.log(
-      "Background: Loaded initial cachedRecordedUrls:",
-      cachedRecordedUrls,
+      "Background: Loaded initial currentProjectId:",
+      currentProjectId,
     );
+    console.log("Background: Loaded initial cachedUrlCount:", cachedUrlCount);
     console.log("Background: Loaded initial DEBUG_MODE:", DEBUG_MODE);
     console.log(
-      "Background: Loaded initial isUrlSimplificationEnabled:",
-      isUrlSimplificationEnabled,
+      "Background: Loaded initial isNetworkCaptureEnabled:",
+      isNetworkCaptureEnabled,
     );
     console.log(
-      "Background: Loaded initial ignoredUrlParams:",
-      ignoredUrlParams,
+      "Background: Loaded initial networkResourceTypes:",
+      networkResourceTypes,
     );
   }
 
   updateBadgeCount();
 }
 
-// Call initializeCaches immediately when the service worker script starts
-initializeCaches();
+/**
+ * Compiles stored patterns into matchers. Patterns are validated before they
+ * are stored, so an invalid one here predates validation and is reported.
+ * @param {string[]} patterns - The stored pattern lines.
+ * @param {string} kind - "target" or "exclude", for the warning.
+ * @returns {object[]} The matchers of the valid patterns.
+ */
+function compileStoredPatterns(patterns, kind) {
+  const { matchers, errors } = compilePatterns(patterns);
+  errors.forEach((error) =>
+    console.warn(
+      `Background: Invalid ${kind} pattern ignored: "${error.pattern}" (${error.message})`,
+    ),
+  );
+  return matchers;
+}
 
-// This listener runs only once when the extension is installed or updated.
-// It ensures default values are set if storage is completely empty (first install).
-chrome.runtime.onInstalled.addListener(() => {
-  chrome.storage.local.get(
-    [
-      "targetPatterns",
-      "recordedUrls",
-      "isDebugMode",
-      "isUrlSimplificationEnabled",
-      "ignoredUrlParams",
-    ],
-    (result) => {
-      if (result.targetPatterns === undefined) {
-        chrome.storage.local.set({ targetPatterns: [] });
-      }
-      if (result.recordedUrls === undefined) {
-        chrome.storage.local.set({ recordedUrls: [] });
-      }
-      if (result.isDebugMode === undefined) {
-        chrome.storage.local.set({ isDebugMode: false });
-      }
-      if (result.isUrlSimplificationEnabled === undefined) {
-        chrome.storage.local.set({ isUrlSimplificationEnabled: false });
-      }
-      if (result.ignoredUrlParams === undefined) {
-        chrome.storage.local.set({ ignoredUrlParams: [] });
-      }
-    },
+/**
+ * Compiles stored rewrite rules, reporting invalid ones like
+ * compileStoredPatterns does.
+ * @param {string[]} lines - The stored rule lines.
+ * @returns {object[]} The valid rules, in order.
+ */
+function compileStoredRewriteRules(lines) {
+  const { rules, errors } = compileRewriteRules(lines);
+  errors.forEach((error) =>
+    console.warn(
+      `Background: Invalid rewrite rule ignored: "${error.pattern}" (${error.message})`,
+    ),
   );
-});
+  return rules;
+}
 
-// Listen for changes in chrome.storage.local to keep caches in sync
-chrome.storage.onChanged.addListener((changes, namespace) => {
-  if (namespace === "local") {
-    if (changes.isDebugMode !== undefined) {
-      DEBUG_MODE = changes.isDebugMode.newValue;
-      console.log(`Background: DEBUG_MODE updated to: ${DEBUG_MODE}`);
-    }
-    if (changes.recordedUrls !== undefined) {
-      cachedRecordedUrls = changes.recordedUrls.newValue || [];
-      if (DEBUG_MODE)
-        console.log(
-          `Background: cachedRecordedUrls updated via storage.onChanged. New count: ${cachedRecordedUrls.length}`,
-        );
-      updateBadgeCount();
-    }
-    if (changes.targetPatterns !== undefined) {
-      cachedTargetPatterns = changes.targetPatterns.newValue || [];
-      if (DEBUG_MODE)
-        console.log(
-          `Background: cachedTargetPatterns updated via storage.onChanged. New count: ${cachedTargetPatterns.length}`,
-        );
-    }
-    if (changes.isUrlSimplificationEnabled !== undefined) {
-      isUrlSimplificationEnabled = changes.isUrlSimplificationEnabled.newValue;
-      if (DEBUG_MODE)
-        console.log(
-          `Background: isUrlSimplificationEnabled updated to: ${isUrlSimplificationEnabled}`,
-        );
-    }
-    if (changes.ignoredUrlParams !== undefined) {
-      ignoredUrlParams = changes.ignoredUrlParams.newValue || [];
-      if (DEBUG_MODE)
-        console.log(
-          `Background: ignoredUrlParams updated. New count: ${ignoredUrlParams.length}`,
-        );
+/**
+ * Creates the default project from the pattern and simplification settings
+ * kept before projects existed, and removes those settings. All URLs
+ * recorded before belong to it, see openDatabase.
+ * @param {object} legacySettings - The LEGACY_PROJECT_SETTING_KEYS values read from storage.
+ */
+async function migrateSettingsToProjects(legacySettings) {
+  const defaultProject = createProject(DEFAULT_PROJECT_ID, "Default");
+  defaultProject.targetPatterns = legacySettings.targetPatterns || [];
+  defaultProject.excludePatterns = legacySettings.excludePatterns || [];
+  defaultProject.isUrlSimplificationEnabled =
+    legacySettings.isUrlSimplificationEnabled || false;
+  defaultProject.ignoredUrlParams = legacySettings.ignoredUrlParams || [];
+  applyProjects([defaultProject]);
+  applyCurrentProject(DEFAULT_PROJECT_ID);
+  await chrome.storage.local.set({
+    projects: projects,
+    currentProjectId: currentProjectId,
+  });
+  await chrome.storage.local.remove(LEGACY_PROJECT_SETTING_KEYS);
+  if (DEBUG_MODE)
+    console.log("Background: Moved the pattern settings into a project.");
+}
+
+/**
+ * Creates a new, active project without patterns.
+ * @param {string} id - The project id.
+ * @param {string} name - The project name.
+ * @returns {object} The project.
+ */
+function createProject(id, name) {
+  return {
+    id: id,
+    name: name,
+    isActive: true,
+    targetPatterns: [],
+    excludePatterns: [],
+    isUrlSimplificationEnabled: false,
+    ignoredUrlParams: [],
+    normalizationOptions: {},
+    isNormalizedUrlStored: false,
+  };
+}
+
+/**
+ * Finds a project by its id.
+ * @param {string} projectId - The project id.
+ * @returns {object|undefined} The project, if it exists.
+ */
+function getProject(projectId) {
+  return projects.find((project) => project.id === projectId);
+}
+
+/**
+ * Returns the project a message is about: the one it names, or the current one.
+ * @param {object} request - The message, with an optional projectId.
+ * @returns {object} The project.
+ */
+function getRequestProject(request) {
+  return getProject(request.projectId) || getProject(currentProjectId);
+}
+
+/**
+ * Replaces the in-memory projects, compiles the ignored parameters of all of
+ * them and the patterns of the active ones. Projects whose simplification
+ * settings changed are re-keyed once the settings settle.
+ * @param {object[]} newProjects - The projects, as stored.
+ */
+function applyProjects(newProjects) {
+  newProjects.forEach((project) => {
+    const previous = getProject(project.id);
+    if (
+      previous &&
+      getSimplificationSignature(previous) !==
+        getSimplificationSignature(project)
+    ) {
+      scheduleRekey(project.id);
     }
-  }
-});
+  });
+  projects = newProjects;
+  projectParamMatchers = new Map(
+    projects.map((project) => [
+      project.id,
+      compileParamNamePatterns(project.ignoredUrlParams).matchers,
+    ]),
+  );
+  compiledProjects = compileActiveProjects(
+    projects,
+    compileStoredPatterns,
+    (project) => projectParamMatchers.get(project.id),
+  );
+}
 
 /**
- * Updates the extension badge with the current count of recorded URLs.
+ * Returns the key a URL is deduplicated by within a project, with the
+ * project's ignored parameters as compiled by applyProjects.
+ * @param {string} url - The URL.
+ * @param {object} project - The project, as stored.
+ * @returns {string} The deduplication key.
  */
-function updateBadgeCount() {
-  const count = cachedRecordedUrls.length;
-  chrome.action.setBadgeText({ text: count.toString() });
-  chrome.action.setBadgeBackgroundColor({ color: "#4c51bf" });
-  if (DEBUG_MODE)
-    console.log(`Background: Attempted to set badge count to: ${count}`);
+function getRecordKey(url, project) {
+  return getProjectDeduplicationKey(
+    url,
+    project,
+    projectParamMatchers.get(project.id),
+  );
+}
+
+/**
+ * Sums up the settings a project's deduplication keys depend on, to tell
+ * when its recorded URLs need re-keying.
+ * @param {object} project - The project, as stored.
+ * @returns {string} The settings, serialized.
+ */
+function getSimplificationSignature(project) {
+  return JSON.stringify([
+    project.isUrlSimplificationEnabled,
+    project.ignoredUrlParams,
+    project.normalizationOptions || {},
+    project.isNormalizedUrlStored || false,
+  ]);
+}
+
+/**
+ * Makes a project the one the extension pages show and edit, falling back
+ * to the first project if it doesn't exist.
+ * @param {string} projectId - The project id.
+ */
+function applyCurrentProject(projectId) {
+  currentProjectId = getProject(projectId) ? projectId : projects[0].id;
 }
 
 /**
- * Normalizes a URL by removing specific query parameters.
- * @param {string} url - The original URL string.
- * @param {string[]} paramsToIgnore - An array of query parameter keys to remove.
- * @returns {string} The normalized URL.
+ * Saves the projects, applying them right away so messages handled before
+ * storage.onChanged fires see them too.
+ * @param {object[]} newProjects - The projects.
+ * @returns {Promise<void>} Resolves once they are saved.
  */
-function normalizeUrl(url, paramsToIgnore) {
-  if (!paramsToIgnore || paramsToIgnore.length === 0) {
-    return url;
+function saveProjects(newProjects) {
+  applyProjects(newProjects);
+  return chrome.storage.local.set({ projects: newProjects });
+}
+
+/**
+ * Saves settings of one project.
+ * @param {string} projectId - The project id.
+ * @param {object} settings - The settings to change, e.g. `{targetPatterns}`.
+ * @returns {Promise<void>} Resolves once they are saved.
+ */
+function saveProjectSettings(projectId, settings) {
+  return saveProjects(
+    projects.map((project) =>
+      project.id === projectId ? { ...project, ...settings } : project,
+    ),
+  );
+}
+
+/**
+ * Makes a project the current one and updates the badge to its URL count.
+ * @param {string} projectId - The project id.
+ */
+async function switchCurrentProject(projectId) {
+  applyCurrentProject(projectId);
+  await chrome.storage.local.set({ currentProjectId: currentProjectId });
+  await flushWriteQueue();
+  cachedUrlCount = await countRecordedUrls(currentProjectId);
+  updateBadgeCount();
+  notifyRecordedUrlsChanged("project");
+}
+
+// Call initializeCaches immediately when the service worker script starts.
+// Anything reading the caches or the database awaits this first.
+const cachesReady = initializeCaches();
+
+let databasePromise = null; // Lazily opened IndexedDB connection
+
+/**
+ * Opens (and on first use creates) the IndexedDB database holding the recorded URLs.
+ * Records are keyed by their project and deduplication key, see getRecordKey.
+ * @returns {Promise<IDBDatabase>} The open database.
+ */
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        if (event.oldVersion < 2) {
+          db.createObjectStore(META_STORE);
+        }
+        if (event.oldVersion < 1) {
+          createUrlStore(db);
+        } else if (event.oldVersion < 3) {
+          // Before projects, records were keyed by their deduplication key
+          // alone; they all move into the default project.
+          const getAllRequest = request.transaction
+            .objectStore(URL_STORE)
+            .getAll();
+          getAllRequest.onsuccess = () => {
+            db.deleteObjectStore(URL_STORE);
+            const store = createUrlStore(db);
+            getAllRequest.result.forEach((record) =>
+              store.put({ ...record, project: DEFAULT_PROJECT_ID }),
+            );
+            // Records kept for undo have no project either.
+            request.transaction
+              .objectStore(META_STORE)
+              .delete(UNDO_RECORDS_KEY);
+          };
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        databasePromise = null;
+        reject(request.error);
+      };
+    });
   }
+  return databasePromise;
+}
+
+/**
+ * Creates the object store of the recorded URLs, with the indexes to read
+ * one project's records by first-seen or last-seen time.
+ * @param {IDBDatabase} db - The database, during an upgrade.
+ * @returns {IDBObjectStore} The store.
+ */
+function createUrlStore(db) {
+  const store = db.createObjectStore(URL_STORE, {
+    keyPath: ["project", "key"],
+  });
+  store.createIndex("project", "project");
+  store.createIndex("domain", "domain");
+  store.createIndex("projectFirstSeen", ["project", "firstSeen"]);
+  store.createIndex("projectLastSeen", ["project", "lastSeen"]);
+  return store;
+}
+
+/**
+ * Returns the primary key of a record in the URL store.
+ * @param {object} record - The URL record.
+ * @returns {string[]} Its project id and deduplication key.
+ */
+function getRecordStoreKey(record) {
+  return [record.project, record.key];
+}
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ * @param {IDBRequest} request - The request to wait for.
+ * @returns {Promise<*>} Resolves with the request result.
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Waits for an IndexedDB transaction to commit.
+ * @param {IDBTransaction} transaction - The transaction to wait for.
+ * @returns {Promise<void>} Resolves once the transaction has completed.
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Counts the records of a project in the URL store.
+ * @param {string} projectId - The project id.
+ * @returns {Promise<number>} The number of URLs recorded in the project.
+ */
+async function countRecordedUrls(projectId) {
+  const db = await openDatabase();
+  const transaction = db.transaction(URL_STORE, "readonly");
+  return promisifyRequest(
+    transaction.objectStore(URL_STORE).index("project").count(projectId),
+  );
+}
+
+/**
+ * Returns the host name of a URL, used for the domain index.
+ * @param {string} url - The URL.
+ * @returns {string} The host name, or an empty string if the URL can't be parsed.
+ */
+function getDomain(url) {
   try {
-    const urlObj = new URL(url);
-    const params = new URLSearchParams(urlObj.search);
-    for (const param of paramsToIgnore) {
-      if (params.has(param)) {
-        params.delete(param);
-      }
-    }
-    urlObj.search = params.toString();
-    return urlObj.toString();
+    return new URL(url).hostname;
   } catch (e) {
-    if (DEBUG_MODE) console.error(`Failed to normalize URL: ${url}`, e);
-    return url;
+    return "";
   }
 }
 
 /**
- * Checks if a given URL or its simplified version is already in the cache.
- * @param {string} url - The URL to check.
- * @returns {boolean} True if the URL (or its simplified version) is already in the cache, false otherwise.
+ * Creates a new record for a URL seen for the first time.
+ * @param {string} url - The recorded URL.
+ * @param {object} project - The project the URL is recorded into.
+ * @param {object} details - Where and how the URL was found.
+ * @param {string} details.source - How the URL was discovered (e.g. "a[href]", "text").
+ * @param {string} [details.pageUrl] - The page the URL was found on.
+ * @param {string} [details.pageTitle] - The title of the tab the URL was found in.
+ * @param {string|null} [details.pattern] - The target pattern the URL matched.
+ * @param {object} [details.request] - For network captures: resourceType, method, statusCode and tabId.
+ * @param {object} [details.navigation] - For navigations: frameId, transitionType, transitionQualifiers
+ *   and redirectChain (the URLs from the origin of the navigation up to this one).
+ * @param {string|null} [details.descriptor] - For srcset candidates: the width or density descriptor.
+ * @param {string|null} [details.role] - For page metadata: the URL's role (e.g. "canonical", "og:image").
+ * @param {string|null} [details.originalUrl] - The URL as found, if rewrite rules changed it.
+ * @returns {object} The new URL record.
  */
-function isUrlInCache(url) {
-  if (isUrlSimplificationEnabled) {
-    const normalizedUrl = normalizeUrl(url, ignoredUrlParams);
-    if (DEBUG_MODE)
-      console.log(`Background: Checking for normalized URL: ${normalizedUrl}`);
-    return cachedRecordedUrls.some((cachedUrl) => {
-      const cachedNormalized = normalizeUrl(cachedUrl, ignoredUrlParams);
-      return cachedNormalized === normalizedUrl;
-    });
-  } else {
-    return cachedRecordedUrls.includes(url);
+function createUrlRecord(url, project, details) {
+  const now = Date.now();
+  return {
+    project: project.id,
+    key: getRecordKey(url, project),
+    domain: getDomain(url),
+    url: url,
+    firstSeen: now,
+    lastSeen: now,
+    hits: 1,
+    pageUrl: details.pageUrl || "",
+    pageTitle: details.pageTitle || "",
+    pattern: details.pattern || null,
+    source: details.source || "unknown",
+    request: details.request || null,
+    navigation: details.navigation || null,
+    descriptor: details.descriptor || null,
+    role: details.role || null,
+    originalUrl: details.originalUrl || null,
+    pinned: false,
+  };
+}
+
+/**
+ * Checks if a project shows and exports the simplified form of URLs rather
+ * than the form first seen.
+ * @param {object} project - The project, as stored.
+ * @returns {boolean} True if simplified URLs are shown.
+ */
+function isNormalizedUrlStored(project) {
+  return project.isUrlSimplificationEnabled && project.isNormalizedUrlStored;
+}
+
+/**
+ * Prepares a record to be sent to an extension page. Projects showing
+ * simplified URLs get the simplified form, i.e. the deduplication key, as the
+ * URL, and the URL as found as the original URL. The stored record keeps the
+ * URL as found, so no simplification setting ever loses it.
+ * @param {object} record - The record, as stored.
+ * @param {object} project - The project of the record.
+ * @returns {object} The record to show and export.
+ */
+function presentUrlRecord(record, project) {
+  if (!isNormalizedUrlStored(project) || record.url === record.key) {
+    return record;
   }
+  return {
+    ...record,
+    url: record.key,
+    domain: getDomain(record.key),
+    originalUrl: record.originalUrl || record.url,
+  };
 }
 
 /**
- * Checks if a given URL matches any of the stored regex patterns.
- * @param {string} url - The URL to test.
- * @param {string[]} patterns - An array of regex pattern strings.
- * @returns {boolean} True if the URL matches any pattern, false otherwise.
+ * Converts a stored `recordedUrls` value from the legacy plain string array
+ * to URL records. Entries that are already records are kept as they are.
+ * @param {Array<string|object>|undefined} storedUrls - The value read from storage.
+ * @returns {{records: object[], migrated: boolean}} The records and whether any entry was converted.
  */
-function matchesAnyPattern(url, patterns) {
-  if (!url || !patterns || patterns.length === 0) {
-    if (DEBUG_MODE)
-      console.log(
-        "matchesAnyPattern: No patterns set or URL invalid, returning false.",
-      );
-    return false;
+function migrateRecordedUrls(storedUrls) {
+  if (!Array.isArray(storedUrls)) {
+    return { records: [], migrated: false };
   }
-  for (const patternString of patterns) {
-    try {
-      const regex = new RegExp(patternString, "i");
-      if (regex.test(url)) {
-        if (DEBUG_MODE)
-          console.log(
-            `matchesAnyPattern: URL "${url}" matched pattern "${patternString}".`,
-          );
-        return true;
-      }
-    } catch (e) {
-      if (DEBUG_MODE)
-        console.warn(
-          `matchesAnyPattern: Invalid regex pattern ignored: "${patternString}"`,
-          e,
-        );
+  let migrated = false;
+  const records = storedUrls.map((entry) => {
+    if (typeof entry !== "string") {
+      return entry;
+    }
+    migrated = true;
+    // Nothing but the URL was kept before, so the timestamps are unknown.
+    return {
+      url: entry,
+      firstSeen: null,
+      lastSeen: null,
+      hits: 1,
+      pageUrl: "",
+      pageTitle: "",
+      pattern: null,
+      source: "unknown",
+    };
+  });
+  if (migrated && DEBUG_MODE)
+    console.log(
+      `Background: Migrated ${records.length} recorded URLs to the record format.`,
+    );
+  return { records, migrated };
+}
+
+/**
+ * Merges the sightings of one URL record into another with the same key.
+ * @param {object} target - The record to keep; it is updated in place.
+ * @param {object} other - The record being merged into it.
+ * @returns {object} The updated target record.
+ */
+function mergeUrlRecords(target, other) {
+  if (other.firstSeen !== null && other.firstSeen < target.firstSeen) {
+    target.firstSeen = other.firstSeen;
+  }
+  if (other.lastSeen !== null && other.lastSeen > target.lastSeen) {
+    target.lastSeen = other.lastSeen;
+  }
+  target.hits = (target.hits || 1) + (other.hits || 1);
+  // Like the source and pattern, request and navigation details are kept
+  // from the first sighting that had them.
+  target.request = target.request || other.request || null;
+  target.navigation = target.navigation || other.navigation || null;
+  target.originalUrl = target.originalUrl || other.originalUrl || null;
+  target.pinned = target.pinned || other.pinned || false;
+  return target;
+}
+
+/**
+ * Moves recorded URLs kept in chrome.storage.local (as strings or records)
+ * into the IndexedDB store, then removes them from chrome.storage.local.
+ * @param {Array<string|object>} storedUrls - The `recordedUrls` value read from storage.
+ */
+async function migrateStorageToDatabase(storedUrls) {
+  const { records } = migrateRecordedUrls(storedUrls);
+  // Legacy entries have no timestamps; IndexedDB leaves records with a null
+  // index value out of the index, so they are stamped with the migration time.
+  const now = Date.now();
+  const defaultProject = getProject(DEFAULT_PROJECT_ID) || projects[0];
+  const db = await openDatabase();
+  const transaction = db.transaction(URL_STORE, "readwrite");
+  const store = transaction.objectStore(URL_STORE);
+  const recordsByKey = new Map();
+  for (const record of records) {
+    const migratedRecord = {
+      ...record,
+      project: defaultProject.id,
+      key: getRecordKey(record.url, defaultProject),
+      domain: getDomain(record.url),
+      firstSeen: record.firstSeen || now,
+      lastSeen: record.lastSeen || now,
+    };
+    const existing = recordsByKey.get(migratedRecord.key);
+    if (existing) {
+      mergeUrlRecords(existing, migratedRecord);
+    } else {
+      recordsByKey.set(migratedRecord.key, migratedRecord);
     }
   }
+  recordsByKey.forEach((record) => store.put(record));
+  await transactionDone(transaction);
+  await chrome.storage.local.remove("recordedUrls");
   if (DEBUG_MODE)
     console.log(
-      `matchesAnyPattern: URL "${url}" did not match any active pattern.`,
+      `Background: Moved ${recordsByKey.size} recorded URLs from chrome.storage.local to IndexedDB.`,
     );
-  return false;
 }
 
 /**
- * Adds a URL to storage if it matches the target patterns and is not already present.
- * @param {string} url - The URL to add.
+ * Tells open extension pages, such as the dashboard, that recorded URLs
+ * changed, so they can fetch them again.
+ * @param {string} change - "updated" if URLs were only added or seen again,
+ *   so fetching the ones seen since the last fetch is enough, or "reset" if
+ *   URLs were deleted or otherwise changed.
  */
-function addUrlToStorage(url) {
-  const targetPatterns = cachedTargetPatterns;
-  let currentRecordedUrls = cachedRecordedUrls;
+function notifyRecordedUrlsChanged(change) {
+  chrome.runtime
+    .sendMessage({ action: "recordedUrlsChanged", change: change })
+    // Rejects when no extension page is open to receive it.
+    .catch(() => {});
+}
 
-  if (DEBUG_MODE) {
-    console.log(`addUrlToStorage: Checking URL: "${url}"`);
-    console.log(`addUrlToStorage: Current active patterns:`, targetPatterns);
-  }
+/**
+ * Tells the content scripts in open tabs which recorded URLs were deleted, so
+ * they send them again when the page shows them again.
+ * @param {string} projectId - The project id.
+ * @param {string[]} keys - The keys of the deleted records.
+ */
+function notifyRecordedUrlsDeleted(projectId, keys) {
+  if (keys.length === 0) return;
+  chrome.tabs.query({}).then((tabs) =>
+    tabs.forEach((tab) =>
+      chrome.tabs
+        .sendMessage(tab.id, {
+          action: "recordedUrlsDeleted",
+          projectId: projectId,
+          keys: keys,
+        })
+        // Rejects for tabs without the content script.
+        .catch(() => {}),
+    ),
+  );
+}
 
-  if (matchesAnyPattern(url, targetPatterns)) {
-    if (DEBUG_MODE)
-      console.log(
-        `addUrlToStorage: Before deduplication check, cachedRecordedUrls has ${currentRecordedUrls.length} items.`,
-      );
+/**
+ * Accepts connections from open side panels, which stream every recorded
+ * URL through their port until they close.
+ */
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== LIVE_FEED_PORT_NAME) return;
+  liveFeedPorts.add(port);
+  port.onDisconnect.addListener(() => liveFeedPorts.delete(port));
+  if (DEBUG_MODE)
+    console.log(
+      `Background: Live feed connected, ${liveFeedPorts.size} subscribers.`,
+    );
+});
 
-    if (!isUrlInCache(url)) {
-      currentRecordedUrls.push(url);
-      chrome.storage.local.set({ recordedUrls: currentRecordedUrls }, () => {
-        if (DEBUG_MODE)
-          console.log(
-            `addUrlToStorage: Successfully recorded URL: "${url}". New total URLs: ${currentRecordedUrls.length}`,
-          );
-      });
-    } else {
-      if (DEBUG_MODE)
-        console.log(
-          `addUrlToStorage: URL "${url}" is already recorded (or a simplified version of it), skipping.`,
-        );
-    }
+/**
+ * Sends a message to every open side panel.
+ * @param {object} message - The message, e.g. `{type: "urlRecorded", record, tabId}`.
+ */
+function postToLiveFeed(message) {
+  liveFeedPorts.forEach((port) => port.postMessage(message));
+}
+
+/**
+ * Runs a storage task after all previously queued ones have finished, so
+ * flushes, clears and re-keying never interleave.
+ * @param {function(): Promise<*>} task - The task to run.
+ * @returns {Promise<*>} Resolves or rejects with the task's result.
+ */
+function runStorageTask(task) {
+  const run = storageTaskChain.then(task);
+  storageTaskChain = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Returns the key of a record in a write batch.
+ * @param {object} record - The URL record.
+ * @returns {string} Its project id and deduplication key.
+ */
+function getBatchKey(record) {
+  return `${record.project} ${record.key}`;
+}
+
+/**
+ * Adds a URL record to the open write batch, merging it with a pending
+ * record for the same project and key, and schedules the batch to be flushed.
+ * @param {object} record - The URL record, as built by createUrlRecord.
+ */
+function queueUrlRecord(record) {
+  if (!openBatch) {
+    openBatch = { id: nextBatchId++, records: new Map() };
+    unflushedBatches.push(openBatch);
+  }
+  const batchKey = getBatchKey(record);
+  const pendingRecord = openBatch.records.get(batchKey);
+  if (pendingRecord) {
+    mergeUrlRecords(pendingRecord, record);
   } else {
-    if (DEBUG_MODE)
-      console.log(
-        `addUrlToStorage: URL "${url}" did not match any active pattern, not recording.`,
-      );
+    openBatch.records.set(batchKey, record);
+  }
+  scheduleJournalWrite();
+  if (flushTimer === null) {
+    flushTimer = setTimeout(flushWriteQueue, FLUSH_DELAY);
   }
 }
 
 /**
- * Listens for web navigation events and records the navigated URL.
+ * Writes the journal once the current synchronous burst of queued URLs is
+ * done, so a content script report of hundreds of URLs costs one write.
  */
-chrome.webNavigation.onBeforeNavigate.addListener((details) => {
-  if (
-    details.frameId === 0 &&
-    (details.url.startsWith("http://") || details.url.startsWith("https://"))
-  ) {
-    if (DEBUG_MODE)
-      console.log(
-        `WebNavigation: onBeforeNavigate triggered for: "${details.url}"`,
-      );
-    addUrlToStorage(details.url);
-  }
-});
+function scheduleJournalWrite() {
+  if (isJournalWriteScheduled) return;
+  isJournalWriteScheduled = true;
+  queueMicrotask(() => {
+    isJournalWriteScheduled = false;
+    writeJournal();
+  });
+}
 
 /**
- * Handles messages from the popup script and content script.
+ * Saves all unflushed batches to chrome.storage.session, which survives the
+ * service worker being suspended, so they can be replayed on the next start.
+ * @returns {Promise<void>} Resolves once the journal is saved.
  */
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.action === "setTargetPatterns") {
-    const newTargetPatterns = Array.isArray(request.patterns)
-      ? request.patterns.filter((p) => typeof p === "string" && p.trim() !== "")
-      : [];
-    chrome.storage.local.set({ targetPatterns: newTargetPatterns }, () => {
-      if (DEBUG_MODE)
-        console.log(`Background: Set new target patterns:`, newTargetPatterns);
-      sendResponse({ success: true, patterns: newTargetPatterns });
-    });
-    return true;
-  } else if (request.action === "setSimplificationSettings") {
-    chrome.storage.local.set(
-      {
-        isUrlSimplificationEnabled: request.isEnabled,
-        ignoredUrlParams: request.params,
-      },
-      () => {
-        if (DEBUG_MODE)
-          console.log(
-            `Background: Set URL simplification settings. Enabled: ${request.isEnabled}, Ignored Params:`,
-            request.params,
-          );
-        sendResponse({ success: true });
+function writeJournal() {
+  return chrome.storage.session
+    .set({
+      [WRITE_QUEUE_JOURNAL_KEY]: {
+        nextBatchId: nextBatchId,
+        batches: unflushedBatches.map((batch) => ({
+          id: batch.id,
+          records: Array.from(batch.records.values()),
+        })),
       },
+    })
+    .catch((e) =>
+      console.error("Background: Failed to save the write queue journal:", e),
     );
-    return true;
-  } else if (request.action === "getRecordedUrls") {
-    if (DEBUG_MODE)
-      console.log(
-        `Background: Sending recorded URLs (${cachedRecordedUrls.length}) and patterns (${cachedTargetPatterns.length}) to popup.`,
-      );
-    sendResponse({
-      urls: cachedRecordedUrls,
-      targetPatterns: cachedTargetPatterns,
-      isUrlSimplificationEnabled: isUrlSimplificationEnabled,
-      ignoredUrlParams: ignoredUrlParams,
-    });
-    return true;
-  } else if (request.action === "clearRecordedUrls") {
-    chrome.storage.local.set({ recordedUrls: [] }, () => {
-      if (DEBUG_MODE) console.log("Background: All recorded URLs cleared.");
-      sendResponse({ success: true });
+}
+
+/**
+ * Closes the open batch and queues it to be written to IndexedDB, after any
+ * batch that failed to write before.
+ * @returns {Promise<void>} Resolves once the batches are written or failed.
+ */
+function flushWriteQueue() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  openBatch = null;
+  if (unflushedBatches.length === 0) {
+    return Promise.resolve();
+  }
+  return runStorageTask(writeUnflushedBatches).catch((e) =>
+    console.error("Background: Failed to write batches:", e),
+  );
+}
+
+/**
+ * Writes the closed unflushed batches in order. The first batch that fails
+ * stops the writes, so the last flushed batch id never moves past a batch
+ * that was not written; it and the batches after it stay in the journal and
+ * are written again on the next flush or replay.
+ */
+async function writeUnflushedBatches() {
+  const batches = unflushedBatches.filter((batch) => batch !== openBatch);
+  for (const batch of batches) {
+    await writeBatch(batch);
+  }
+}
+
+/**
+ * Writes a batch of URL records in a single transaction, merging them into
+ * existing records. Only new URLs of the current project count for the
+ * badge. The batch id is stored in the same transaction, so it only counts
+ * as flushed once its records are written, and a batch replayed from the
+ * journal after an interrupted flush is skipped instead of being counted
+ * twice.
+ * @param {{id: number, records: Map<string, object>}} batch - The batch to write,
+ *   with the records by their batch key, see getBatchKey.
+ */
+async function writeBatch(batch) {
+  const db = await openDatabase();
+  const transaction = db.transaction([URL_STORE, META_STORE], "readwrite");
+  const store = transaction.objectStore(URL_STORE);
+  const metaStore = transaction.objectStore(META_STORE);
+  const lastFlushedBatchId =
+    (await promisifyRequest(metaStore.get("lastFlushedBatchId"))) || 0;
+  let addedCount = 0;
+  if (batch.id > lastFlushedBatchId) {
+    const records = Array.from(batch.records.values());
+    const existingRecords = await Promise.all(
+      records.map((record) =>
+        promisifyRequest(store.get(getRecordStoreKey(record))),
+      ),
+    );
+    records.forEach((record, i) => {
+      const existingRecord = existingRecords[i];
+      if (existingRecord) {
+        store.put(mergeUrlRecords(existingRecord, record));
+      } else {
+        store.put(record);
+        if (record.project === currentProjectId) addedCount++;
+      }
+    });
+    metaStore.put(batch.id, "lastFlushedBatchId");
+  } else if (DEBUG_MODE) {
+    console.log(`Background: Batch ${batch.id} was already written, skipping.`);
+  }
+  await transactionDone(transaction);
+
+  unflushedBatches = unflushedBatches.filter((b) => b !== batch);
+  await writeJournal();
+  cachedUrlCount += addedCount;
+  updateBadgeCount();
+  notifyRecordedUrlsChanged("updated");
+  if (DEBUG_MODE)
+    console.log(
+      `Background: Flushed batch ${batch.id} with ${batch.records.size} URLs (${addedCount} new). New total URLs: ${cachedUrlCount}`,
+    );
+}
+
+/**
+ * Continues batch numbering after the last flushed batch and replays the
+ * batches left in the journal by a service worker that was suspended or
+ * terminated before they were flushed.
+ */
+async function restoreWriteQueue() {
+  const db = await openDatabase();
+  const transaction = db.transaction(META_STORE, "readonly");
+  const lastFlushedBatchId =
+    (await promisifyRequest(
+      transaction.objectStore(META_STORE).get("lastFlushedBatchId"),
+    )) || 0;
+  nextBatchId = Math.max(nextBatchId, lastFlushedBatchId + 1);
+
+  const result = await chrome.storage.session.get(WRITE_QUEUE_JOURNAL_KEY);
+  const journal = result[WRITE_QUEUE_JOURNAL_KEY];
+  if (!journal) return;
+  nextBatchId = Math.max(nextBatchId, journal.nextBatchId || 1);
+  const restoredBatches = journal.batches.map((batch) => ({
+    id: batch.id,
+    records: new Map(
+      batch.records.map((record) => [getBatchKey(record), record]),
+    ),
+  }));
+  unflushedBatches = restoredBatches.concat(unflushedBatches);
+  if (DEBUG_MODE && restoredBatches.length > 0)
+    console.log(
+      `Background: Replaying ${restoredBatches.length} unflushed batches from the journal.`,
+    );
+  runStorageTask(writeUnflushedBatches).catch((e) =>
+    console.error("Background: Failed to replay batches:", e),
+  );
+}
+
+/**
+ * Re-keys the projects whose simplification settings changed once the
+ * settings settle, e.g. after several option checkboxes are clicked.
+ * @param {string} projectId - The project id.
+ */
+function scheduleRekey(projectId) {
+  projectsToRekey.add(projectId);
+  clearTimeout(rekeyTimer);
+  rekeyTimer = setTimeout(() => {
+    const projectIds = Array.from(projectsToRekey);
+    projectsToRekey.clear();
+    projectIds.forEach((id) =>
+      runStorageTask(() => rekeyRecordedUrls(id)).catch((e) =>
+        console.error("Background: Failed to re-key recorded URLs:", e),
+      ),
+    );
+  }, REKEY_DELAY);
+}
+
+/**
+ * Reads all records of a project.
+ * @param {IDBObjectStore} store - The URL store, in an open transaction.
+ * @param {string} projectId - The project id.
+ * @returns {Promise<object[]>} The records.
+ */
+function getProjectRecords(store, projectId) {
+  return promisifyRequest(store.index("project").getAll(projectId));
+}
+
+/**
+ * Recomputes the deduplication key of every record of a project after its
+ * simplification settings changed, merging records that now share a key.
+ * The keys are always computed from the URL as found, which is kept.
+ * @param {string} projectId - The project id.
+ */
+async function rekeyRecordedUrls(projectId) {
+  const project = getProject(projectId);
+  if (!project) return;
+  const db = await openDatabase();
+  const transaction = db.transaction(URL_STORE, "readwrite");
+  const store = transaction.objectStore(URL_STORE);
+  const records = await getProjectRecords(store, projectId);
+  const recordsByKey = new Map();
+  let changed = false;
+  for (const record of records) {
+    const key = getRecordKey(record.url, project);
+    if (key !== record.key) {
+      changed = true;
+      store.delete(getRecordStoreKey(record));
+      record.key = key;
+    }
+    const existing = recordsByKey.get(key);
+    if (existing) {
+      mergeUrlRecords(existing, record);
+    } else {
+      recordsByKey.set(key, record);
+    }
+  }
+  if (changed) {
+    recordsByKey.forEach((record) => store.put(record));
+  }
+  await transactionDone(transaction);
+  if (projectId === currentProjectId) {
+    cachedUrlCount = recordsByKey.size;
+    updateBadgeCount();
+  }
+  notifyRecordedUrlsChanged("reset");
+  if (DEBUG_MODE)
+    console.log(
+      `Background: Re-keyed the recorded URLs of project "${project.name}" for its new simplification settings. Total URLs: ${recordsByKey.size}`,
+    );
+}
+
+/**
+ * Reads one page of a project's recorded URLs, oldest first, or of the URLs
+ * seen since a point in time, least recently seen first.
+ * @param {string} projectId - The project id.
+ * @param {number} offset - The number of records to skip.
+ * @param {number} limit - The maximum number of records to return.
+ * @param {number|null} [since] - Only return records last seen at or after this timestamp.
+ * @returns {Promise<object[]>} The records of the page.
+ */
+async function getRecordedUrlsPage(projectId, offset, limit, since = null) {
+  const db = await openDatabase();
+  const transaction = db.transaction(URL_STORE, "readonly");
+  const store = transaction.objectStore(URL_STORE);
+  const records = [];
+  return new Promise((resolve, reject) => {
+    let skipped = offset === 0;
+    const request =
+      since === null
+        ? store
+            .index("projectFirstSeen")
+            .openCursor(
+              IDBKeyRange.bound([projectId, -Infinity], [projectId, Infinity]),
+            )
+        : store
+            .index("projectLastSeen")
+            .openCursor(
+              IDBKeyRange.bound([projectId, since], [projectId, Infinity]),
+            );
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || records.length >= limit) {
+        resolve(records);
+        return;
+      }
+      if (!skipped) {
+        skipped = true;
+        cursor.advance(offset);
+        return;
+      }
+      records.push(cursor.value);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Deletes recorded URLs of a project in one transaction and keeps them for
+ * undoLastDelete, replacing what the previous delete kept. Pending URLs are
+ * flushed first, so they cannot reappear right after the delete.
+ * @param {string} projectId - The project id.
+ * @param {string[]|null} keys - The keys of the records to delete, pinned or
+ *   not, or null to delete every record that is not pinned.
+ * @returns {Promise<number>} The number of deleted records.
+ */
+async function deleteRecordedUrls(projectId, keys) {
+  await flushWriteQueue();
+  return runStorageTask(async () => {
+    const db = await openDatabase();
+    const transaction = db.transaction([URL_STORE, META_STORE], "readwrite");
+    const store = transaction.objectStore(URL_STORE);
+    let deletedRecords;
+    if (keys) {
+      const records = await Promise.all(
+        keys.map((key) => promisifyRequest(store.get([projectId, key]))),
+      );
+      deletedRecords = records.filter((record) => record);
+    } else {
+      const records = await getProjectRecords(store, projectId);
+      deletedRecords = records.filter((record) => !record.pinned);
+    }
+    deletedRecords.forEach((record) => store.delete(getRecordStoreKey(record)));
+    transaction.objectStore(META_STORE).put(deletedRecords, UNDO_RECORDS_KEY);
+    await transactionDone(transaction);
+    if (projectId === currentProjectId) {
+      cachedUrlCount -= deletedRecords.length;
+      updateBadgeCount();
+    }
+    notifyRecordedUrlsChanged("reset");
+    notifyRecordedUrlsDeleted(
+      projectId,
+      deletedRecords.map((record) => record.key),
+    );
+    return deletedRecords.length;
+  });
+}
+
+/**
+ * Puts back the records removed by the last delete or clear, merging them
+ * into records of the same URLs recorded since.
+ * @returns {Promise<number>} The number of restored records.
+ */
+async function undoLastDelete() {
+  await flushWriteQueue();
+  return runStorageTask(async () => {
+    const db = await openDatabase();
+    const transaction = db.transaction([URL_STORE, META_STORE], "readwrite");
+    const store = transaction.objectStore(URL_STORE);
+    const metaStore = transaction.objectStore(META_STORE);
+    // Records of projects deleted since are dropped.
+    const undoRecords = (
+      (await promisifyRequest(metaStore.get(UNDO_RECORDS_KEY))) || []
+    ).filter((record) => getProject(record.project));
+    const existingRecords = await Promise.all(
+      undoRecords.map((record) =>
+        promisifyRequest(store.get(getRecordStoreKey(record))),
+      ),
+    );
+    let addedCount = 0;
+    undoRecords.forEach((record, i) => {
+      if (existingRecords[i]) {
+        store.put(mergeUrlRecords(record, existingRecords[i]));
+      } else {
+        store.put(record);
+        if (record.project === currentProjectId) addedCount++;
+      }
+    });
+    metaStore.delete(UNDO_RECORDS_KEY);
+    await transactionDone(transaction);
+    cachedUrlCount += addedCount;
+    updateBadgeCount();
+    notifyRecordedUrlsChanged("reset");
+    return undoRecords.length;
+  });
+}
+
+/**
+ * Pins or unpins recorded URLs of a project. Pinned URLs survive clearing
+ * all URLs.
+ * @param {string} projectId - The project id.
+ * @param {string[]} keys - The keys of the records.
+ * @param {boolean} isPinned - Whether to pin or unpin them.
+ * @returns {Promise<number>} The number of updated records.
+ */
+async function setRecordedUrlsPinned(projectId, keys, isPinned) {
+  await flushWriteQueue();
+  return runStorageTask(async () => {
+    const db = await openDatabase();
+    const transaction = db.transaction(URL_STORE, "readwrite");
+    const store = transaction.objectStore(URL_STORE);
+    const records = await Promise.all(
+      keys.map((key) => promisifyRequest(store.get([projectId, key]))),
+    );
+    const updatedRecords = records.filter((record) => record);
+    updatedRecords.forEach((record) => {
+      record.pinned = isPinned;
+      store.put(record);
+    });
+    await transactionDone(transaction);
+    notifyRecordedUrlsChanged("reset");
+    return updatedRecords.length;
+  });
+}
+
+/**
+ * Deletes a project along with all its recorded URLs, pinned or not. The
+ * last project can't be deleted.
+ * @param {string} projectId - The project id.
+ * @returns {Promise<number>} The number of deleted records.
+ */
+async function deleteProject(projectId) {
+  // Stop recording into the project before its pending URLs are flushed.
+  await saveProjects(projects.filter((project) => project.id !== projectId));
+  await flushWriteQueue();
+  const deletedCount = await runStorageTask(async () => {
+    const db = await openDatabase();
+    const transaction = db.transaction(URL_STORE, "readwrite");
+    const store = transaction.objectStore(URL_STORE);
+    const keys = await promisifyRequest(
+      store.index("project").getAllKeys(projectId),
+    );
+    keys.forEach((key) => store.delete(key));
+    await transactionDone(transaction);
+    return keys.length;
+  });
+  if (projectId === currentProjectId) {
+    await switchCurrentProject(projects[0].id);
+  }
+  return deletedCount;
+}
+
+/**
+ * Finds which of the given record keys are already recorded in a project.
+ * @param {string} projectId - The project id.
+ * @param {string[]} keys - The record keys to look up.
+ * @returns {Promise<Set<string>>} The keys that are recorded.
+ */
+async function findRecordedKeys(projectId, keys) {
+  await flushWriteQueue();
+  return runStorageTask(async () => {
+    const db = await openDatabase();
+    const transaction = db.transaction(URL_STORE, "readonly");
+    const store = transaction.objectStore(URL_STORE);
+    const foundKeys = await Promise.all(
+      keys.map((key) => promisifyRequest(store.getKey([projectId, key]))),
+    );
+    return new Set(
+      foundKeys.filter((key) => key !== undefined).map((key) => key[1]),
+    );
+  });
+}
+
+/**
+ * Records a list of imported URLs into a project, e.g. from an earlier export
+ * or a HAR capture, and writes them right away. Like found URLs they must
+ * match the project's target patterns, unless bypassed, and none of its
+ * exclude patterns; URLs that are already recorded, or listed twice, are skipped.
+ * @param {object} project - The project to import into, active or not.
+ * @param {Array<string|object>} entries - The URLs, or objects with the URL and
+ *   its metadata (firstSeen, lastSeen, hits, pageUrl, pageTitle, role,
+ *   originalUrl, source, pattern, request). The source defaults to "import",
+ *   and the pattern to the target pattern the URL matches now.
+ * @param {boolean} isPatternFilterBypassed - Whether URLs are imported even if
+ *   they match no target pattern.
+ * @returns {Promise<{imported: number, duplicates: number, filtered: number, invalid: number}>}
+ *   How many URLs were recorded, skipped as duplicates, left out by the
+ *   patterns, and skipped for not being http(s) URLs.
+ */
+async function importUrls(project, entries, isPatternFilterBypassed) {
+  const targetMatchers = compilePatterns(project.targetPatterns).matchers;
+  const excludeMatchers = compilePatterns(project.excludePatterns).matchers;
+  const report = { imported: 0, duplicates: 0, filtered: 0, invalid: 0 };
+  const records = new Map();
+  entries.forEach((entry) => {
+    const details = entry && typeof entry === "object" ? entry : { url: entry };
+    const url = typeof details.url === "string" ? details.url.trim() : "";
+    if (!isHttpUrl(url) || getDomain(url) === "") {
+      report.invalid++;
+      return;
+    }
+    const pattern = findMatchingPattern(url, targetMatchers);
+    if (
+      (pattern === null && !isPatternFilterBypassed) ||
+      matchesAnyPattern(url, excludeMatchers)
+    ) {
+      report.filtered++;
+      return;
+    }
+    const record = createUrlRecord(url, project, {
+      source: typeof details.source === "string" ? details.source : "import",
+      pageUrl: typeof details.pageUrl === "string" ? details.pageUrl : "",
+      pageTitle: typeof details.pageTitle === "string" ? details.pageTitle : "",
+      pattern:
+        pattern === null && typeof details.pattern === "string"
+          ? details.pattern
+          : pattern,
+      role: typeof details.role === "string" ? details.role : null,
+      originalUrl:
+        typeof details.originalUrl === "string" ? details.originalUrl : null,
+      request:
+        details.request && typeof details.request === "object"
+          ? details.request
+          : null,
+    });
+    if (Number.isFinite(details.firstSeen)) {
+      record.firstSeen = details.firstSeen;
+      record.lastSeen = Number.isFinite(details.lastSeen)
+        ? Math.max(details.lastSeen, details.firstSeen)
+        : details.firstSeen;
+    }
+    if (Number.isInteger(details.hits) && details.hits > 0) {
+      record.hits = details.hits;
+    }
+    if (records.has(record.key)) {
+      report.duplicates++;
+      return;
+    }
+    records.set(record.key, record);
+  });
+
+  const recordedKeys = await findRecordedKeys(
+    project.id,
+    Array.from(records.keys()),
+  );
+  records.forEach((record, key) => {
+    if (recordedKeys.has(key)) {
+      report.duplicates++;
+    } else {
+      queueUrlRecord(record);
+      report.imported++;
+    }
+  });
+  await flushWriteQueue();
+  return report;
+}
+
+// This listener runs only once when the extension is installed or updated.
+// It ensures default values are set if storage is completely empty (first install).
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.storage.local.get(
+    [
+      "isDebugMode",
+      "isNetworkCaptureEnabled",
+      "networkResourceTypes",
+      "extractionRules",
+      "rewriteRules",
+      "isDataAttributeScanEnabled",
+      "textScanLimit",
+      "isRecordingPaused",
+      "siteAllowlist",
+      "siteDenylist",
+    ],
+    (result) => {
+      if (result.isDebugMode === undefined) {
+        chrome.storage.local.set({ isDebugMode: false });
+      }
+      if (result.isNetworkCaptureEnabled === undefined) {
+        chrome.storage.local.set({ isNetworkCaptureEnabled: false });
+      }
+      if (result.networkResourceTypes === undefined) {
+        chrome.storage.local.set({
+          networkResourceTypes: DEFAULT_NETWORK_RESOURCE_TYPES,
+        });
+      }
+      if (result.extractionRules === undefined) {
+        chrome.storage.local.set({ extractionRules: DEFAULT_EXTRACTION_RULES });
+      }
+      if (result.rewriteRules === undefined) {
+        chrome.storage.local.set({ rewriteRules: [] });
+      }
+      if (result.isDataAttributeScanEnabled === undefined) {
+        chrome.storage.local.set({ isDataAttributeScanEnabled: false });
+      }
+      if (result.textScanLimit === undefined) {
+        chrome.storage.local.set({ textScanLimit: 0 });
+      }
+      if (result.isRecordingPaused === undefined) {
+        chrome.storage.local.set({ isRecordingPaused: false });
+      }
+      if (result.siteAllowlist === undefined) {
+        chrome.storage.local.set({ siteAllowlist: [] });
+      }
+      if (result.siteDenylist === undefined) {
+        chrome.storage.local.set({ siteDenylist: [] });
+      }
+    },
+  );
+  // Registrations persist across sessions, but not across updates that
+  // change the scripts, so register them again here.
+  cachesReady.then(updateContentScripts);
+});
+
+/**
+ * Queues a re-registration of the content scripts, so overlapping updates
+ * cannot register the same script ids twice.
+ * @returns {Promise<void>} Resolves once the scripts are registered.
+ */
+function updateContentScripts() {
+  contentScriptUpdateChain = contentScriptUpdateChain
+    .then(registerContentScripts)
+    .catch((e) =>
+      console.error("Background: Failed to register content scripts:", e),
+    );
+  return contentScriptUpdateChain;
+}
+
+/**
+ * Registers the content scripts for the pages where recording is active:
+ * nowhere while paused, otherwise on the allowed sites (or all pages) except
+ * the denied ones. Replaces any earlier registration.
+ */
+async function registerContentScripts() {
+  const registered = await chrome.scripting.getRegisteredContentScripts({
+    ids: CONTENT_SCRIPT_IDS,
+  });
+  if (registered.length > 0) {
+    await chrome.scripting.unregisterContentScripts({
+      ids: registered.map((script) => script.id),
+    });
+  }
+  if (isRecordingPaused) {
+    if (DEBUG_MODE)
+      console.log("Background: Recording paused, content scripts removed.");
+    return;
+  }
+  const target = {
+    matches:
+      siteAllowlist.length > 0
+        ? siteAllowlist.map(siteToMatchPattern)
+        : ["<all_urls>"],
+    excludeMatches: siteDenylist.map(siteToMatchPattern),
+    // Cross-origin frames get the scripts too but don't scan, see content.js.
+    allFrames: true,
+    // Also runs in about:blank and srcdoc frames of matching pages.
+    matchOriginAsFallback: true,
+  };
+  await chrome.scripting.registerContentScripts([
+    {
+      ...target,
+      id: "shadow-hook",
+      js: ["shadow_hook.js"],
+      runAt: "document_start",
+      world: "MAIN",
+    },
+    {
+      ...target,
+      id: "content",
+      js: ["matcher.js", "rules.js", "content.js"],
+      runAt: "document_idle",
+    },
+  ]);
+  if (DEBUG_MODE)
+    console.log(
+      `Background: Content scripts registered for:`,
+      target.matches,
+      "excluding:",
+      target.excludeMatches,
+    );
+}
+
+// Listen for changes in chrome.storage.local to keep caches in sync
+chrome.storage.onChanged.addListener((changes, namespace) => {
+  if (namespace === "local") {
+    if (changes.isDebugMode !== undefined) {
+      DEBUG_MODE = changes.isDebugMode.newValue;
+      console.log(`Background: DEBUG_MODE updated to: ${DEBUG_MODE}`);
+    }
+    if (changes.projects !== undefined) {
+      applyProjects(changes.projects.newValue || []);
+      if (DEBUG_MODE)
+        console.log(
+          `Background: projects updated via storage.onChanged. New count: ${projects.length}`,
+        );
+    }
+    if (changes.isNetworkCaptureEnabled !== undefined) {
+      isNetworkCaptureEnabled = changes.isNetworkCaptureEnabled.newValue;
+      if (!isNetworkCaptureEnabled) {
+        pendingRequests.clear();
+      }
+      if (DEBUG_MODE)
+        console.log(
+          `Background: isNetworkCaptureEnabled updated to: ${isNetworkCaptureEnabled}`,
+        );
+    }
+    if (changes.networkResourceTypes !== undefined) {
+      networkResourceTypes =
+        changes.networkResourceTypes.newValue || DEFAULT_NETWORK_RESOURCE_TYPES;
+      if (DEBUG_MODE)
+        console.log(
+          `Background: networkResourceTypes updated to:`,
+          networkResourceTypes,
+        );
+    }
+    if (changes.extractionRules !== undefined) {
+      extractionRules =
+        changes.extractionRules.newValue || DEFAULT_EXTRACTION_RULES;
+      if (DEBUG_MODE)
+        console.log(
+          `Background: extractionRules updated. New count: ${extractionRules.length}`,
+        );
+    }
+    if (changes.rewriteRules !== undefined) {
+      rewriteRules = changes.rewriteRules.newValue || [];
+      compiledRewriteRules = compileStoredRewriteRules(rewriteRules);
+      if (DEBUG_MODE)
+        console.log(
+          `Background: rewriteRules updated. New count: ${rewriteRules.length}`,
+        );
+    }
+    if (changes.isDataAttributeScanEnabled !== undefined) {
+      isDataAttributeScanEnabled = changes.isDataAttributeScanEnabled.newValue;
+      if (DEBUG_MODE)
+        console.log(
+          `Background: isDataAttributeScanEnabled updated to: ${isDataAttributeScanEnabled}`,
+        );
+    }
+    if (changes.isRecordingPaused !== undefined) {
+      isRecordingPaused = changes.isRecordingPaused.newValue || false;
+      updateBadgeCount();
+      if (DEBUG_MODE)
+        console.log(
+          `Background: isRecordingPaused updated to: ${isRecordingPaused}`,
+        );
+    }
+    if (changes.siteAllowlist !== undefined) {
+      siteAllowlist = changes.siteAllowlist.newValue || [];
+      compiledSiteAllowlist = compileSitePatterns(siteAllowlist).matchers;
+      if (DEBUG_MODE)
+        console.log(`Background: siteAllowlist updated to:`, siteAllowlist);
+    }
+    if (changes.siteDenylist !== undefined) {
+      siteDenylist = changes.siteDenylist.newValue || [];
+      compiledSiteDenylist = compileSitePatterns(siteDenylist).matchers;
+      if (DEBUG_MODE)
+        console.log(`Background: siteDenylist updated to:`, siteDenylist);
+    }
+    if (
+      changes.isRecordingPaused !== undefined ||
+      changes.siteAllowlist !== undefined ||
+      changes.siteDenylist !== undefined
+    ) {
+      updateContentScripts();
+    }
+    if (changes.textScanLimit !== undefined) {
+      textScanLimit = changes.textScanLimit.newValue || 0;
+      if (DEBUG_MODE)
+        console.log(`Background: textScanLimit updated to: ${textScanLimit}`);
+    }
+  }
+});
+
+/**
+ * Updates the extension badge with the count of URLs recorded in the current project.
+ */
+function updateBadgeCount() {
+  const count = cachedUrlCount;
+  const project = getProject(currentProjectId);
+  const projectName = project ? project.name : "";
+  if (isRecordingPaused) {
+    chrome.action.setBadgeText({ text: "OFF" });
+    chrome.action.setBadgeBackgroundColor({ color: "#9ca3af" });
+    chrome.action.setTitle({
+      title: `Domain URL Recorder (paused, ${count} URLs recorded in ${projectName})`,
+    });
+  } else {
+    chrome.action.setBadgeText({ text: count.toString() });
+    chrome.action.setBadgeBackgroundColor({ color: "#4c51bf" });
+    chrome.action.setTitle({ title: `Domain URL Recorder (${projectName})` });
+  }
+  if (DEBUG_MODE)
+    console.log(
+      `Background: Attempted to set badge count to: ${count}${isRecordingPaused ? " (paused)" : ""}`,
+    );
+}
+
+/**
+ * Counts how many recorded URLs each draft pattern would match, for the
+ * pattern tester in the popup.
+ * @param {string} projectId - The project whose recorded URLs are matched.
+ * @param {string[]} patterns - Draft target pattern lines.
+ * @param {string[]} excludePatterns - Draft exclude pattern lines.
+ * @returns {Promise<{counts: (number|null)[], excludedCount: number, total: number}>}
+ *   Per target pattern the number of matching recorded URLs (null if the
+ *   pattern is invalid), and how many of the matches the excludes remove.
+ */
+async function previewPatternMatches(projectId, patterns, excludePatterns) {
+  const matchers = patterns.map((patternString) => {
+    try {
+      return compilePattern(patternString);
+    } catch (e) {
+      return null;
+    }
+  });
+  const excludeMatchers = compilePatterns(excludePatterns).matchers;
+  const counts = matchers.map((matcher) => (matcher ? 0 : null));
+  let excludedCount = 0;
+
+  const db = await openDatabase();
+  const transaction = db.transaction(URL_STORE, "readonly");
+  const records = await getProjectRecords(
+    transaction.objectStore(URL_STORE),
+    projectId,
+  );
+  for (const record of records) {
+    let matched = false;
+    matchers.forEach((matcher, i) => {
+      if (matcher && matcher.test(record.url)) {
+        counts[i]++;
+        matched = true;
+      }
+    });
+    if (matched && matchesAnyPattern(record.url, excludeMatchers)) {
+      excludedCount++;
+    }
+  }
+  return { counts, excludedCount, total: records.length };
+}
+
+/**
+ * Records a URL if recording is not paused and is enabled on the page the URL
+ * was found on, into every active project whose target patterns the URL
+ * matches and whose exclude patterns it doesn't. The records are queued and
+ * written with the next batch, where a URL that is already recorded in a
+ * project (or a simplified version of it) gets its last-seen timestamp and
+ * hit count updated instead. The rewrite rules are applied first, and the
+ * URL as found is kept with the record. Callers must wait for cachesReady first.
+ * @param {string} url - The URL to add.
+ * @param {object} details - Where and how the URL was found, see createUrlRecord.
+ * @param {number} [details.tabId] - The tab the URL was found in, for the live feed.
+ */
+function addUrlToStorage(url, details) {
+  if (isRecordingPaused) {
+    if (DEBUG_MODE)
+      console.log(`addUrlToStorage: Recording paused, not recording "${url}".`);
+    return;
+  }
+  const pageUrl = details.pageUrl || url;
+  if (!isSiteEnabled(pageUrl, compiledSiteAllowlist, compiledSiteDenylist)) {
+    if (DEBUG_MODE)
+      console.log(
+        `addUrlToStorage: Recording disabled on "${pageUrl}", not recording "${url}".`,
+      );
+    return;
+  }
+
+  const recordedUrl = rewriteUrl(url, compiledRewriteRules);
+  const recordDetails =
+    recordedUrl !== url ? { ...details, originalUrl: url } : details;
+  if (DEBUG_MODE && recordedUrl !== url)
+    console.log(`addUrlToStorage: Rewrote "${url}" to "${recordedUrl}".`);
+
+  if (DEBUG_MODE)
+    console.log(`addUrlToStorage: Checking URL: "${recordedUrl}"`);
+
+  const matches = findProjectMatches(recordedUrl, compiledProjects);
+  if (matches.length === 0) {
+    if (DEBUG_MODE)
+      console.log(
+        `addUrlToStorage: URL "${recordedUrl}" is not recorded into any active project.`,
+      );
+    return;
+  }
+
+  matches.forEach(({ project, pattern }) => {
+    const record = createUrlRecord(recordedUrl, project, {
+      ...recordDetails,
+      pattern: pattern,
+    });
+    queueUrlRecord(record);
+    postToLiveFeed({
+      type: "urlRecorded",
+      record: presentUrlRecord(record, project),
+      tabId: details.tabId !== undefined ? details.tabId : null,
+    });
+  });
+  if (DEBUG_MODE)
+    console.log(
+      `addUrlToStorage: Queued URL: "${recordedUrl}" (source: ${details.source}) into ${matches.length} projects.`,
+    );
+}
+
+const pendingRequests = new Map(); // requestId -> request details seen by onBeforeRequest
+const tabDetailsCache = new Map(); // tabId -> Promise of { pageUrl, pageTitle }
+
+/**
+ * Looks up the URL and title of the tab that initiated a request.
+ * @param {number} tabId - The tab id.
+ * @returns {Promise<{pageUrl: string, pageTitle: string}>} The tab's page details.
+ */
+function getTabDetails(tabId) {
+  if (!tabDetailsCache.has(tabId)) {
+    tabDetailsCache.set(
+      tabId,
+      chrome.tabs
+        .get(tabId)
+        .then((tab) => ({ pageUrl: tab.url || "", pageTitle: tab.title || "" }))
+        .catch(() => ({ pageUrl: "", pageTitle: "" })),
+    );
+  }
+  return tabDetailsCache.get(tabId);
+}
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.url !== undefined || changeInfo.title !== undefined) {
+    tabDetailsCache.delete(tabId);
+  }
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  tabDetailsCache.delete(tabId);
+});
+
+/**
+ * Checks if a URL uses http or https, the only schemes that are recorded.
+ * @param {string} url - The URL.
+ * @returns {boolean} True for http and https URLs.
+ */
+function isHttpUrl(url) {
+  return url.startsWith("http://") || url.startsWith("https://");
+}
+
+/**
+ * Checks if a webRequest event should be captured under the current settings.
+ * Requests not made by a tab (the extension itself, other extensions,
+ * service workers) are skipped.
+ * @param {object} details - The webRequest event details.
+ * @returns {boolean} True if the request should be captured.
+ */
+function isCapturedRequest(details) {
+  return (
+    isNetworkCaptureEnabled &&
+    details.tabId >= 0 &&
+    networkResourceTypes.includes(details.type) &&
+    isHttpUrl(details.url)
+  );
+}
+
+/**
+ * Records a finished network request through the usual pattern matching and
+ * simplification pipeline.
+ * @param {object} request - The request details collected by onBeforeRequest.
+ * @param {number|null} statusCode - The response status code, or null if the request failed.
+ */
+function recordNetworkRequest(request, statusCode) {
+  Promise.all([cachesReady, getTabDetails(request.tabId)]).then(
+    ([, tabDetails]) =>
+      addUrlToStorage(request.url, {
+        source: "webRequest",
+        pageUrl: tabDetails.pageUrl || request.initiator || "",
+        pageTitle: tabDetails.pageTitle,
+        tabId: request.tabId,
+        request: {
+          resourceType: request.type,
+          method: request.method,
+          statusCode: statusCode,
+          tabId: request.tabId,
+        },
+      }),
+  );
+}
+
+/**
+ * Notes a network request of a captured resource type as it starts; it is
+ * recorded once it completes or fails.
+ * @param {object} details - The webRequest event details.
+ */
+function onNetworkRequestStarted(details) {
+  if (!isCapturedRequest(details)) return;
+  if (pendingRequests.size >= MAX_PENDING_REQUESTS) {
+    // Requests that never complete (e.g. long polling) must not pile up.
+    pendingRequests.delete(pendingRequests.keys().next().value);
+  }
+  pendingRequests.set(details.requestId, {
+    url: details.url,
+    type: details.type,
+    method: details.method,
+    tabId: details.tabId,
+    initiator: details.initiator,
+  });
+}
+
+/**
+ * Records a noted network request that completed.
+ * @param {object} details - The webRequest event details.
+ */
+function onNetworkRequestCompleted(details) {
+  const request = pendingRequests.get(details.requestId);
+  if (!request) return;
+  pendingRequests.delete(details.requestId);
+  if (DEBUG_MODE)
+    console.log(
+      `WebRequest: onCompleted for ${request.method} ${request.type} "${request.url}" (${details.statusCode})`,
+    );
+  recordNetworkRequest(request, details.statusCode);
+}
+
+/**
+ * Records a noted network request that failed, without a status code.
+ * @param {object} details - The webRequest event details.
+ */
+function onNetworkRequestFailed(details) {
+  const request = pendingRequests.get(details.requestId);
+  if (!request) return;
+  pendingRequests.delete(details.requestId);
+  if (DEBUG_MODE)
+    console.log(
+      `WebRequest: onErrorOccurred for ${request.method} ${request.type} "${request.url}" (${details.error})`,
+    );
+  recordNetworkRequest(request, null);
+}
+
+let areNetworkSettingsLoaded = false; // Whether the capture settings are read from storage yet
+cachesReady.then(() => {
+  areNetworkSettingsLoaded = true;
+});
+
+/**
+ * Wraps a network capture event handler so it only runs with the capture
+ * settings loaded. The request that wakes the service worker arrives before
+ * they are, and waits for them rather than being judged by the defaults.
+ * @param {function(object): void} handler - The event handler.
+ * @returns {function(object): void} The listener.
+ */
+function withNetworkSettings(handler) {
+  return (details) => {
+    if (areNetworkSettingsLoaded) {
+      handler(details);
+    } else {
+      cachesReady.then(() => handler(details));
+    }
+  };
+}
+
+// The listeners are registered when the script first runs, as the service
+// worker is only woken up for those; the handlers check the settings.
+chrome.webRequest.onBeforeRequest.addListener(
+  withNetworkSettings(onNetworkRequestStarted),
+  { urls: ["<all_urls>"] },
+);
+chrome.webRequest.onCompleted.addListener(
+  withNetworkSettings(onNetworkRequestCompleted),
+  { urls: ["<all_urls>"] },
+);
+chrome.webRequest.onErrorOccurred.addListener(
+  withNetworkSettings(onNetworkRequestFailed),
+  { urls: ["<all_urls>"] },
+);
+
+// Navigation tracking. Per frame, the URLs of the navigation in progress
+// (its server redirect hops) and of the last committed one (to link client
+// redirects to it) are kept in memory.
+const frameNavigations = new Map(); // "tabId:frameId" -> { chain: string[], committedChain: string[] }
+const MAX_REDIRECT_CHAIN_LENGTH = 20; // URLs kept per redirect chain, the latest ones
+
+/**
+ * Returns the navigation state of a frame, creating it if needed.
+ * @param {number} tabId - The tab id.
+ * @param {number} frameId - The frame id, 0 for the top frame.
+ * @returns {{chain: string[], committedChain: string[]}} The frame's navigation state.
+ */
+function getFrameNavigation(tabId, frameId) {
+  const key = `${tabId}:${frameId}`;
+  if (!frameNavigations.has(key)) {
+    frameNavigations.set(key, { chain: [], committedChain: [] });
+  }
+  return frameNavigations.get(key);
+}
+
+/**
+ * Appends a URL to a redirect chain. A URL already in the chain closes a
+ * loop, e.g. a page that refreshes itself or two pages redirecting to each
+ * other, so the chain goes back to where the URL was first seen instead of
+ * growing with every hop.
+ * @param {string[]} chain - The redirect chain, oldest URL first.
+ * @param {string} url - The URL navigated to next.
+ * @returns {string[]} The new chain, at most MAX_REDIRECT_CHAIN_LENGTH URLs.
+ */
+function appendToRedirectChain(chain, url) {
+  const index = chain.indexOf(url);
+  const appended = index === -1 ? [...chain, url] : chain.slice(0, index + 1);
+  return appended.slice(-MAX_REDIRECT_CHAIN_LENGTH);
+}
+
+/**
+ * Records a URL seen by the navigation tracker.
+ * @param {object} details - The webNavigation or webRequest event details.
+ * @param {string} url - The URL to record.
+ * @param {string} source - The event the URL was seen in.
+ * @param {object|null} navigation - Navigation details, see createUrlRecord.
+ */
+function recordNavigation(details, url, source, navigation) {
+  if (!isHttpUrl(url)) return;
+  // A subframe was found on the tab's page; a top frame navigation is the page.
+  const pageDetails =
+    details.frameId === 0
+      ? Promise.resolve({ pageUrl: url, pageTitle: "" })
+      : getTabDetails(details.tabId);
+  Promise.all([cachesReady, pageDetails]).then(([, page]) =>
+    addUrlToStorage(url, {
+      source: source,
+      pageUrl: page.pageUrl,
+      pageTitle: page.pageTitle,
+      tabId: details.tabId,
+      navigation: navigation,
+    }),
+  );
+}
+
+/**
+ * Starts tracking a navigation in any frame. Its URLs are recorded once it
+ * redirects, commits or fails, so every hop is recorded exactly once.
+ */
+chrome.webNavigation.onBeforeNavigate.addListener((details) => {
+  if (!isHttpUrl(details.url)) return;
+  if (DEBUG_MODE)
+    console.log(
+      `WebNavigation: onBeforeNavigate triggered for: "${details.url}" (frame ${details.frameId})`,
+    );
+  getFrameNavigation(details.tabId, details.frameId).chain = [details.url];
+});
+
+/**
+ * Records every hop of a server redirect chain.
+ */
+chrome.webRequest.onBeforeRedirect.addListener(
+  (details) => {
+    if (details.tabId < 0) return;
+    const frame = getFrameNavigation(details.tabId, details.frameId);
+    frame.chain = appendToRedirectChain(frame.chain, details.url);
+    if (DEBUG_MODE)
+      console.log(
+        `WebRequest: onBeforeRedirect from "${details.url}" to "${details.redirectUrl}" (${details.statusCode})`,
+      );
+    recordNavigation(details, details.url, "webRequest.onBeforeRedirect", {
+      frameId: details.frameId,
+      transitionType: "server_redirect",
+      transitionQualifiers: [],
+      redirectChain: frame.chain,
+    });
+    frame.chain = appendToRedirectChain(frame.chain, details.redirectUrl);
+  },
+  { urls: ["<all_urls>"], types: ["main_frame", "sub_frame"] },
+);
+
+/**
+ * Records the URL a navigation ended up on, with its transition type and the
+ * redirect chain back to its origin.
+ */
+chrome.webNavigation.onCommitted.addListener((details) => {
+  const frame = getFrameNavigation(details.tabId, details.frameId);
+  // Meta refresh or script redirect: continue from the page that did it.
+  const previousChain = details.transitionQualifiers.includes("client_redirect")
+    ? frame.committedChain
+    : [];
+  const chain = [...frame.chain, details.url].reduce(
+    appendToRedirectChain,
+    previousChain,
+  );
+  frame.committedChain = chain;
+  if (DEBUG_MODE)
+    console.log(
+      `WebNavigation: onCommitted for "${details.url}" (${details.transitionType}), chain of ${chain.length}`,
+    );
+  recordNavigation(details, details.url, "webNavigation.onCommitted", {
+    frameId: details.frameId,
+    transitionType: details.transitionType,
+    transitionQualifiers: details.transitionQualifiers,
+    redirectChain: chain,
+  });
+});
+
+/**
+ * Ends the navigation in progress of a frame.
+ */
+chrome.webNavigation.onCompleted.addListener((details) => {
+  getFrameNavigation(details.tabId, details.frameId).chain = [];
+});
+
+/**
+ * Records the URL of a navigation that failed or was aborted before it
+ * committed, e.g. downloads or unreachable hosts.
+ */
+chrome.webNavigation.onErrorOccurred.addListener((details) => {
+  const frame = getFrameNavigation(details.tabId, details.frameId);
+  const chain = frame.chain.length > 0 ? frame.chain : [details.url];
+  frame.chain = [];
+  if (DEBUG_MODE)
+    console.log(
+      `WebNavigation: onErrorOccurred for "${details.url}": ${details.error}`,
+    );
+  recordNavigation(
+    details,
+    chain[chain.length - 1],
+    "webNavigation.onErrorOccurred",
+    {
+      frameId: details.frameId,
+      transitionType: null,
+      transitionQualifiers: [],
+      redirectChain: chain,
+    },
+  );
+});
+
+/**
+ * Records single-page app route changes made with the History API.
+ */
+chrome.webNavigation.onHistoryStateUpdated.addListener((details) => {
+  const frame = getFrameNavigation(details.tabId, details.frameId);
+  frame.committedChain = [details.url];
+  if (DEBUG_MODE)
+    console.log(
+      `WebNavigation: onHistoryStateUpdated for "${details.url}" (${details.transitionType})`,
+    );
+  recordNavigation(
+    details,
+    details.url,
+    "webNavigation.onHistoryStateUpdated",
+    {
+      frameId: details.frameId,
+      transitionType: details.transitionType,
+      transitionQualifiers: details.transitionQualifiers,
+      redirectChain: [details.url],
+    },
+  );
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  for (const key of frameNavigations.keys()) {
+    if (key.startsWith(`${tabId}:`)) {
+      frameNavigations.delete(key);
+    }
+  }
+});
+
+/**
+ * Builds the redirect chain of a recorded URL back to its origin. When the
+ * first URL of a chain was itself reached through redirects, its own
+ * recorded chain is followed too.
+ * @param {object} project - The project the URL is recorded in.
+ * @param {string} url - The recorded URL.
+ * @returns {Promise<string[]>} The URLs from the origin up to the given URL.
+ */
+async function getRedirectChain(project, url) {
+  const db = await openDatabase();
+  const chain = [url];
+  const seen = new Set(chain);
+  let current = url;
+  for (;;) {
+    const transaction = db.transaction(URL_STORE, "readonly");
+    const record = await promisifyRequest(
+      transaction
+        .objectStore(URL_STORE)
+        .get([project.id, getRecordKey(current, project)]),
+    );
+    const hops =
+      record && record.navigation ? record.navigation.redirectChain : [];
+    const earlierHops = hops.slice(0, -1).filter((hop) => !seen.has(hop));
+    if (earlierHops.length === 0) {
+      return chain;
+    }
+    earlierHops.forEach((hop) => seen.add(hop));
+    chain.unshift(...earlierHops);
+    current = earlierHops[0];
+  }
+}
+
+/**
+ * Handles messages from the popup script and content script.
+ */
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === "setTargetPatterns") {
+    const newTargetPatterns = Array.isArray(request.patterns)
+      ? request.patterns.filter((p) => typeof p === "string" && p.trim() !== "")
+      : [];
+    const { errors } = compilePatterns(newTargetPatterns);
+    if (errors.length > 0) {
+      if (DEBUG_MODE)
+        console.log(`Background: Rejected invalid target patterns:`, errors);
+      sendResponse({ success: false, errors: errors });
+      return true;
+    }
+    cachesReady
+      .then(() =>
+        saveProjectSettings(getRequestProject(request).id, {
+          targetPatterns: newTargetPatterns,
+        }),
+      )
+      .then(() => {
+        if (DEBUG_MODE)
+          console.log(
+            `Background: Set new target patterns:`,
+            newTargetPatterns,
+          );
+        sendResponse({ success: true, patterns: newTargetPatterns });
+      })
+      .catch((e) => {
+        console.error("Background: Failed to set target patterns:", e);
+        sendResponse({ success: false });
+      });
+    return true;
+  } else if (request.action === "setExcludePatterns") {
+    const newExcludePatterns = Array.isArray(request.patterns)
+      ? request.patterns.filter((p) => typeof p === "string" && p.trim() !== "")
+      : [];
+    const { errors } = compilePatterns(newExcludePatterns);
+    if (errors.length > 0) {
+      if (DEBUG_MODE)
+        console.log(`Background: Rejected invalid exclude patterns:`, errors);
+      sendResponse({ success: false, errors: errors });
+      return true;
+    }
+    cachesReady
+      .then(() =>
+        saveProjectSettings(getRequestProject(request).id, {
+          excludePatterns: newExcludePatterns,
+        }),
+      )
+      .then(() => {
+        if (DEBUG_MODE)
+          console.log(
+            `Background: Set new exclude patterns:`,
+            newExcludePatterns,
+          );
+        sendResponse({ success: true, patterns: newExcludePatterns });
+      })
+      .catch((e) => {
+        console.error("Background: Failed to set exclude patterns:", e);
+        sendResponse({ success: false });
+      });
+    return true;
+  } else if (request.action === "addExcludePattern") {
+    const pattern =
+      typeof request.pattern === "string" ? request.pattern.trim() : "";
+    const { errors } = compilePatterns([pattern]);
+    if (pattern === "" || errors.length > 0) {
+      sendResponse({ success: false, errors: errors });
+      return true;
+    }
+    cachesReady
+      .then(() => {
+        const project = getRequestProject(request);
+        const newExcludePatterns = project.excludePatterns.includes(pattern)
+          ? project.excludePatterns
+          : [...project.excludePatterns, pattern];
+        return saveProjectSettings(project.id, {
+          excludePatterns: newExcludePatterns,
+        }).then(() => {
+          if (DEBUG_MODE)
+            console.log(
+              `Background: Added exclude pattern to project "${project.name}": ${pattern}`,
+            );
+          sendResponse({ success: true, patterns: newExcludePatterns });
+        });
+      })
+      .catch((e) => {
+        console.error("Background: Failed to add an exclude pattern:", e);
+        sendResponse({ success: false });
+      });
+    return true;
+  } else if (request.action === "setSimplificationSettings") {
+    const params = Array.isArray(request.params)
+      ? request.params.filter((p) => typeof p === "string" && p.trim() !== "")
+      : [];
+    const { errors } = compileParamNamePatterns(params);
+    if (errors.length > 0) {
+      if (DEBUG_MODE)
+        console.log(`Background: Rejected invalid ignored parameters:`, errors);
+      sendResponse({ success: false, errors: errors });
+      return true;
+    }
+    // Only known options are kept, and only when set.
+    const normalizationOptions = {};
+    Object.keys(URL_NORMALIZATION_OPTIONS).forEach((name) => {
+      if (request.options && request.options[name] === true) {
+        normalizationOptions[name] = true;
+      }
+    });
+    cachesReady
+      .then(() =>
+        saveProjectSettings(getRequestProject(request).id, {
+          isUrlSimplificationEnabled: request.isEnabled === true,
+          ignoredUrlParams: params,
+          normalizationOptions: normalizationOptions,
+          isNormalizedUrlStored: request.isNormalizedUrlStored === true,
+        }),
+      )
+      .then(() => {
+        if (DEBUG_MODE)
+          console.log(
+            `Background: Set URL simplification settings. Enabled: ${request.isEnabled}, Ignored Params:`,
+            params,
+            "Options:",
+            normalizationOptions,
+          );
+        sendResponse({ success: true });
+      })
+      .catch((e) => {
+        console.error(
+          "Background: Failed to set URL simplification settings:",
+          e,
+        );
+        sendResponse({ success: false });
+      });
+    return true;
+  } else if (request.action === "setNetworkCaptureSettings") {
+    const resourceTypes = Array.isArray(request.resourceTypes)
+      ? request.resourceTypes.filter((t) => typeof t === "string")
+      : DEFAULT_NETWORK_RESOURCE_TYPES;
+    chrome.storage.local.set(
+      {
+        isNetworkCaptureEnabled: request.isEnabled === true,
+        networkResourceTypes: resourceTypes,
+      },
+      () => {
+        if (DEBUG_MODE)
+          console.log(
+            `Background: Set network capture settings. Enabled: ${request.isEnabled}, Resource types:`,
+            resourceTypes,
+          );
+        sendResponse({ success: true });
+      },
+    );
+    return true;
+  } else if (request.action === "setExtractionRules") {
+    // Rules arrive as editor lines; content scripts pick up the saved rules
+    // through storage.onChanged.
+    const lines = Array.isArray(request.rules)
+      ? request.rules.filter((r) => typeof r === "string" && r.trim() !== "")
+      : [];
+    const { rules, errors } = parseExtractionRules(lines);
+    if (errors.length > 0) {
+      if (DEBUG_MODE)
+        console.log(`Background: Rejected invalid extraction rules:`, errors);
+      sendResponse({ success: false, errors: errors });
+      return true;
+    }
+    chrome.storage.local.set(
+      {
+        extractionRules: rules,
+        isDataAttributeScanEnabled: request.scanDataAttributes === true,
+        textScanLimit:
+          Number.isInteger(request.textScanLimit) && request.textScanLimit > 0
+            ? request.textScanLimit
+            : 0,
+      },
+      () => {
+        if (DEBUG_MODE)
+          console.log(`Background: Set new extraction rules:`, rules);
+        sendResponse({ success: true, rules: rules });
+      },
+    );
+    return true;
+  } else if (request.action === "setRewriteRules") {
+    const lines = Array.isArray(request.rules)
+      ? request.rules
+          .filter((r) => typeof r === "string" && r.trim() !== "")
+          .map((r) => r.trim())
+      : [];
+    const { errors } = compileRewriteRules(lines);
+    if (errors.length > 0) {
+      if (DEBUG_MODE)
+        console.log(`Background: Rejected invalid rewrite rules:`, errors);
+      sendResponse({ success: false, errors: errors });
+      return true;
+    }
+    chrome.storage.local.set({ rewriteRules: lines }, () => {
+      if (DEBUG_MODE) console.log(`Background: Set new rewrite rules:`, lines);
+      sendResponse({ success: true, rules: lines });
+    });
+    return true;
+  } else if (request.action === "setRecordingPaused") {
+    chrome.storage.local.set(
+      { isRecordingPaused: request.isPaused === true },
+      () => {
+        if (DEBUG_MODE)
+          console.log(
+            `Background: Recording paused: ${request.isPaused === true}`,
+          );
+        sendResponse({ success: true });
+      },
+    );
+    return true;
+  } else if (request.action === "setSiteList") {
+    const storageKey =
+      request.list === "allow" ? "siteAllowlist" : "siteDenylist";
+    const sites = Array.isArray(request.sites)
+      ? request.sites
+          .filter((site) => typeof site === "string" && site.trim() !== "")
+          .map((site) => site.trim())
+      : [];
+    const { errors } = compileSitePatterns(sites);
+    if (errors.length > 0) {
+      if (DEBUG_MODE)
+        console.log(`Background: Rejected invalid ${storageKey}:`, errors);
+      sendResponse({ success: false, errors: errors });
+      return true;
+    }
+    chrome.storage.local.set({ [storageKey]: sites }, () => {
+      if (DEBUG_MODE) console.log(`Background: Set new ${storageKey}:`, sites);
+      sendResponse({ success: true, sites: sites });
     });
     return true;
+  } else if (request.action === "getRecordedUrls") {
+    const offset = Number.isInteger(request.offset) ? request.offset : 0;
+    const limit = Number.isInteger(request.limit)
+      ? request.limit
+      : DEFAULT_PAGE_SIZE;
+    const since = Number.isFinite(request.since) ? request.since : null;
+    let project;
+    cachesReady
+      .then(() => {
+        project = getRequestProject(request);
+        return Promise.all([
+          getRecordedUrlsPage(project.id, offset, limit, since),
+          project.id === currentProjectId
+            ? cachedUrlCount
+            : countRecordedUrls(project.id),
+        ]);
+      })
+      .then(([urls, total]) => {
+        if (DEBUG_MODE)
+          console.log(
+            `Background: Sending recorded URLs ${offset}-${offset + urls.length} of ${total} and patterns (${project.targetPatterns.length}) of project "${project.name}" to popup.`,
+          );
+        sendResponse({
+          urls: urls.map((record) => presentUrlRecord(record, project)),
+          offset: offset,
+          total: total,
+          projects: projects.map(({ id, name, isActive }) => ({
+            id,
+            name,
+            isActive,
+          })),
+          currentProjectId: currentProjectId,
+          projectId: project.id,
+          targetPatterns: project.targetPatterns,
+          excludePatterns: project.excludePatterns,
+          isUrlSimplificationEnabled: project.isUrlSimplificationEnabled,
+          ignoredUrlParams: project.ignoredUrlParams,
+          normalizationOptions: project.normalizationOptions || {},
+          isNormalizedUrlStored: project.isNormalizedUrlStored || false,
+          isNetworkCaptureEnabled: isNetworkCaptureEnabled,
+          networkResourceTypes: networkResourceTypes,
+          extractionRules: extractionRules,
+          rewriteRules: rewriteRules,
+          isDataAttributeScanEnabled: isDataAttributeScanEnabled,
+          textScanLimit: textScanLimit,
+          isRecordingPaused: isRecordingPaused,
+          siteAllowlist: siteAllowlist,
+          siteDenylist: siteDenylist,
+        });
+      })
+      .catch((e) => {
+        console.error("Background: Failed to read recorded URLs:", e);
+        sendResponse(null);
+      });
+    return true;
+  } else if (request.action === "previewPatterns") {
+    const patterns = Array.isArray(request.patterns) ? request.patterns : [];
+    const excludePatterns = Array.isArray(request.excludePatterns)
+      ? request.excludePatterns
+      : [];
+    cachesReady
+      .then(() =>
+        previewPatternMatches(
+          getRequestProject(request).id,
+          patterns,
+          excludePatterns,
+        ),
+      )
+      .then((preview) => sendResponse({ success: true, ...preview }))
+      .catch((e) => {
+        console.error("Background: Failed to preview patterns:", e);
+        sendResponse({ success: false });
+      });
+    return true;
+  } else if (request.action === "getRedirectChain") {
+    cachesReady
+      .then(() => getRedirectChain(getRequestProject(request), request.url))
+      .then((chain) => sendResponse({ success: true, chain: chain }))
+      .catch((e) => {
+        console.error("Background: Failed to build redirect chain:", e);
+        sendResponse({ success: false });
+      });
+    return true;
+  } else if (request.action === "clearRecordedUrls") {
+    cachesReady
+      .then(() => {
+        const project = getRequestProject(request);
+        return deleteRecordedUrls(project.id, null).then((deletedCount) =>
+          Promise.all([deletedCount, countRecordedUrls(project.id)]),
+        );
+      })
+      .then(([deletedCount, keptCount]) => {
+        if (DEBUG_MODE)
+          console.log(
+            `Background: Cleared ${deletedCount} recorded URLs, ${keptCount} pinned URLs kept.`,
+          );
+        sendResponse({
+          success: true,
+          deleted: deletedCount,
+          kept: keptCount,
+        });
+      })
+      .catch((e) => {
+        console.error("Background: Failed to clear recorded URLs:", e);
+        sendResponse({ success: false });
+      });
+    return true;
+  } else if (request.action === "importUrls") {
+    const urls = Array.isArray(request.urls) ? request.urls : [];
+    cachesReady
+      .then(() =>
+        importUrls(
+          getRequestProject(request),
+          urls,
+          request.bypassPatterns === true,
+        ),
+      )
+      .then((result) => {
+        if (DEBUG_MODE)
+          console.log(
+            `Background: Imported ${result.imported} URLs, skipped ${result.duplicates} duplicates, ${result.filtered} filtered and ${result.invalid} invalid lines.`,
+          );
+        sendResponse({ success: true, ...result });
+      })
+      .catch((e) => {
+        console.error("Background: Failed to import URLs:", e);
+        sendResponse({ success: false });
+      });
+    return true;
+  } else if (request.action === "deleteRecordedUrls") {
+    const keys = Array.isArray(request.keys) ? request.keys : [];
+    cachesReady
+      .then(() => deleteRecordedUrls(getRequestProject(request).id, keys))
+      .then((deletedCount) => {
+        if (DEBUG_MODE)
+          console.log(`Background: Deleted ${deletedCount} recorded URLs.`);
+        sendResponse({ success: true, deleted: deletedCount });
+      })
+      .catch((e) => {
+        console.error("Background: Failed to delete recorded URLs:", e);
+        sendResponse({ success: false });
+      });
+    return true;
+  } else if (request.action === "undoLastDelete") {
+    cachesReady
+      .then(undoLastDelete)
+      .then((restoredCount) => {
+        if (DEBUG_MODE)
+          console.log(`Background: Restored ${restoredCount} recorded URLs.`);
+        sendResponse({ success: true, restored: restoredCount });
+      })
+      .catch((e) => {
+        console.error("Background: Failed to undo the last delete:", e);
+        sendResponse({ success: false });
+      });
+    return true;
+  } else if (request.action === "setUrlsPinned") {
+    const keys = Array.isArray(request.keys) ? request.keys : [];
+    const isPinned = request.isPinned === true;
+    cachesReady
+      .then(() =>
+        setRecordedUrlsPinned(getRequestProject(request).id, keys, isPinned),
+      )
+      .then((updatedCount) => {
+        if (DEBUG_MODE)
+          console.log(
+            `Background: ${isPinned ? "Pinned" : "Unpinned"} ${updatedCount} recorded URLs.`,
+          );
+        sendResponse({ success: true, updated: updatedCount });
+      })
+      .catch((e) => {
+        console.error("Background: Failed to pin recorded URLs:", e);
+        sendResponse({ success: false });
+      });
+    return true;
+  } else if (request.action === "setCurrentProject") {
+    cachesReady
+      .then(() => switchCurrentProject(request.projectId))
+      .then(() => {
+        if (DEBUG_MODE)
+          console.log(
+            `Background: Current project is now ${currentProjectId}.`,
+          );
+        sendResponse({ success: true, currentProjectId: currentProjectId });
+      })
+      .catch((e) => {
+        console.error("Background: Failed to switch projects:", e);
+        sendResponse({ success: false });
+      });
+    return true;
+  } else if (request.action === "createProject") {
+    const name = typeof request.name === "string" ? request.name.trim() : "";
+    if (name === "") {
+      sendResponse({ success: false });
+      return true;
+    }
+    const project = createProject(`project-${Date.now().toString(36)}`, name);
+    cachesReady
+      .then(() => saveProjects([...projects, project]))
+      .then(() => switchCurrentProject(project.id))
+      .then(() => {
+        if (DEBUG_MODE)
+          console.log(`Background: Created project "${name}" (${project.id}).`);
+        sendResponse({ success: true, projectId: project.id });
+      })
+      .catch((e) => {
+        console.error("Background: Failed to create a project:", e);
+        sendResponse({ success: false });
+      });
+    return true;
+  } else if (request.action === "renameProject") {
+    const name = typeof request.name === "string" ? request.name.trim() : "";
+    if (name === "") {
+      sendResponse({ success: false });
+      return true;
+    }
+    cachesReady
+      .then(() => saveProjectSettings(getRequestProject(request).id, { name }))
+      .then(() => {
+        updateBadgeCount();
+        if (DEBUG_MODE)
+          console.log(`Background: Renamed project to "${name}".`);
+        sendResponse({ success: true });
+      })
+      .catch((e) => {
+        console.error("Background: Failed to rename a project:", e);
+        sendResponse({ success: false });
+      });
+    return true;
+  } else if (request.action === "setProjectActive") {
+    cachesReady
+      .then(() =>
+        saveProjectSettings(getRequestProject(request).id, {
+          isActive: request.isActive === true,
+        }),
+      )
+      .then(() => {
+        if (DEBUG_MODE)
+          console.log(
+            `Background: Recording into project ${request.projectId}: ${request.isActive === true}`,
+          );
+        sendResponse({ success: true });
+      })
+      .catch((e) => {
+        console.error(
+          "Background: Failed to set whether a project records:",
+          e,
+        );
+        sendResponse({ success: false });
+      });
+    return true;
+  } else if (request.action === "deleteProject") {
+    cachesReady
+      .then(() => {
+        const project = getProject(request.projectId);
+        if (!project || projects.length === 1) {
+          sendResponse({ success: false });
+          return;
+        }
+        return deleteProject(project.id).then((deletedCount) => {
+          if (DEBUG_MODE)
+            console.log(
+              `Background: Deleted project "${project.name}" and its ${deletedCount} recorded URLs.`,
+            );
+          sendResponse({ success: true, deleted: deletedCount });
+        });
+      })
+      .catch((e) => {
+        console.error("Background: Failed to delete a project:", e);
+        sendResponse({ success: false });
+      });
+    return true;
   } else if (request.action === "foundUrlsFromContent") {
     if (Array.isArray(request.urls) && request.urls.length > 0) {
       if (DEBUG_MODE)
         console.log(
           `Background: Received ${request.urls.length} URLs from content script.`,
         );
-      request.urls.forEach((url) => {
-        addUrlToStorage(url);
+      // about:blank and srcdoc frames report their own URL; use the tab's instead.
+      const pageDetails = {
+        pageUrl:
+          sender.url && isHttpUrl(sender.url)
+            ? sender.url
+            : sender.tab
+              ? sender.tab.url
+              : "",
+        pageTitle: sender.tab ? sender.tab.title : "",
+        tabId: sender.tab ? sender.tab.id : undefined,
+      };
+      cachesReady.then(() => {
+        request.urls.forEach((foundUrl) => {
+          if (foundUrl && typeof foundUrl.url === "string") {
+            addUrlToStorage(foundUrl.url, {
+              ...pageDetails,
+              source: foundUrl.source,
+              descriptor: foundUrl.descriptor,
+              role: foundUrl.role,
+            });
+          }
+        });
       });
     }
     sendResponse({ success: true });
@@ -1,11 +1,101 @@
 // content.js
 // This script runs in the context of the webpage and extracts URLs,
 // now including dynamically loaded content, interactive elements, and text content, with optimizations.
+// Pages are scanned in one tree walk, in chunks run while the browser is idle,
+// and each element only once.
 
 let DEBUG_MODE = false; // Global flag for debugging in content script
-let urlsToProcess = new Set(); // Temporary set to collect URLs before sending
+let urlsToProcess = new Map(); // Temporary map of URLs to their source, collected before sending
 let debounceTimer; // Timer for debouncing URL sending
 const DEBOUNCE_DELAY = 500; // milliseconds
+// Dispatched by shadow_hook.js, in the page's own world, when an open shadow root is attached
+const SHADOW_ROOT_ATTACHED_EVENT = "urlrecorder:shadowrootattached";
+const observedRoots = new WeakSet(); // The document body and shadow roots already being observed
+let observedRootRefs = []; // Weak references to the observed roots, to update what they are observed for
+const fetchedManifests = new Set(); // Web app manifest URLs already fetched
+let extractionRules = DEFAULT_EXTRACTION_RULES; // All extraction rules, see rules.js
+let activeExtractionRules = DEFAULT_EXTRACTION_RULES; // The extraction rules that apply to this page
+let isDataAttributeScanEnabled = false; // Whether any data-* attribute holding a URL is read
+// Attributes read by the built-in extractors rather than by extraction rules
+const BUILT_IN_ATTRIBUTES = ["style", "onclick", "content"];
+
+const SCAN_CHUNK_BUDGET = 8; // milliseconds of scanning per idle callback
+const SCAN_IDLE_TIMEOUT = 1000; // milliseconds before a pending scan runs even if the page never idles
+let seenElements = new WeakSet(); // Elements already scanned on this page
+let scanQueue = []; // Documents, shadow roots and added elements waiting to be scanned
+let activeWalker = null; // TreeWalker over the root being scanned
+let isScanChunkRequested = false; // Whether an idle callback is already pending
+let textScanLimit = 0; // Text nodes scanned per page at most, 0 for no limit
+// Scanning work done on this page, logged in debug mode
+const scanStats = { elements: 0, textNodes: 0, skippedTextNodes: 0, time: 0 };
+
+// Settings that decide which found URLs are sent to the background, kept in
+// sync through storage.onChanged so non-matching URLs never leave the page
+const FILTER_SETTING_KEYS = [
+  "projects",
+  "rewriteRules",
+  "isRecordingPaused",
+  "siteAllowlist",
+  "siteDenylist",
+];
+let activeProjects = []; // Active projects with compiled patterns; nothing is scanned without target patterns
+let rewriteRules = []; // Compiled rewrite rules, applied before matching as in the background
+let isRecordingPaused = false; // Whether recording is paused, e.g. until the scripts are unregistered
+let isSiteRecordingEnabled = true; // Whether this page's site passes the site allowlist and denylist
+let siteAllowlist = []; // Site allowlist, as stored
+let siteDenylist = []; // Site denylist, as stored
+const reportedKeys = new Set(); // Project ids and deduplication keys of the URLs already sent from this page
+// Whether this is the top frame or a frame of the top page's origin. The
+// script is registered in all frames, but only these are scanned; the top
+// origin is the last of the ancestor origins.
+const isSameOriginFrame =
+  window === window.top ||
+  location.ancestorOrigins[location.ancestorOrigins.length - 1] ===
+    location.origin;
+
+// <link rel> values whose href is recorded with the rel as its role
+const LINK_REL_ROLES = [
+  "canonical",
+  "alternate",
+  "amphtml",
+  "manifest",
+  "shortlink",
+  "prev",
+  "next",
+  "image_src",
+  "icon",
+  "apple-touch-icon",
+];
+// Open Graph and Twitter card properties whose content is a URL
+const META_URL_PROPERTIES = [
+  "og:url",
+  "og:image",
+  "og:image:url",
+  "og:image:secure_url",
+  "og:video",
+  "og:video:url",
+  "og:video:secure_url",
+  "og:audio",
+  "og:audio:url",
+  "og:audio:secure_url",
+  "twitter:url",
+  "twitter:image",
+  "twitter:image:src",
+  "twitter:player",
+  "twitter:player:stream",
+];
+// JSON-LD properties whose values are URLs (or objects holding them)
+const JSON_LD_URL_KEYS = [
+  "@id",
+  "url",
+  "image",
+  "logo",
+  "sameAs",
+  "contentUrl",
+  "embedUrl",
+  "thumbnailUrl",
+  "mainEntityOfPage",
+];
 
 // Load initial debug mode state from storage
 chrome.storage.local.get("isDebugMode", (result) => {
@@ -20,47 +110,369 @@ chrome.storage.onChanged.addListener((changes, namespace) => {
     DEBUG_MODE = changes.isDebugMode.newValue;
     console.log(`Content Script: DEBUG_MODE updated to: ${DEBUG_MODE}`); // This log always shows
   }
+  if (namespace === "local" && changes.textScanLimit !== undefined) {
+    textScanLimit = changes.textScanLimit.newValue || 0;
+  }
+  if (
+    namespace === "local" &&
+    (changes.extractionRules !== undefined ||
+      changes.isDataAttributeScanEnabled !== undefined)
+  ) {
+    setExtractionSettings(
+      changes.extractionRules !== undefined
+        ? changes.extractionRules.newValue || DEFAULT_EXTRACTION_RULES
+        : extractionRules,
+      changes.isDataAttributeScanEnabled !== undefined
+        ? changes.isDataAttributeScanEnabled.newValue || false
+        : isDataAttributeScanEnabled,
+    );
+    if (DEBUG_MODE)
+      console.log(
+        `Content Script: Extraction rules updated, ${activeExtractionRules.length} apply here. Rescanning.`,
+      );
+    // Pick up what the new rules find in the page as it is now.
+    restartScan();
+  }
+  if (
+    namespace === "local" &&
+    FILTER_SETTING_KEYS.some((key) => changes[key] !== undefined)
+  ) {
+    const settings = {};
+    FILTER_SETTING_KEYS.forEach((key) => {
+      if (changes[key] !== undefined) settings[key] = changes[key].newValue;
+    });
+    setFilterSettings(settings);
+    if (changes.projects !== undefined) {
+      // Deduplication keys may have changed with the simplification settings.
+      reportedKeys.clear();
+    }
+    // A rename or a simplification setting doesn't change which URLs match.
+    const isRescanNeeded =
+      FILTER_SETTING_KEYS.some(
+        (key) => key !== "projects" && changes[key] !== undefined,
+      ) ||
+      (changes.projects !== undefined &&
+        getProjectPatternsSignature(changes.projects.oldValue) !==
+          getProjectPatternsSignature(changes.projects.newValue));
+    if (DEBUG_MODE)
+      console.log(
+        `Content Script: Filter settings updated, ${activeProjects.length} active projects, scanning ${isScanningEnabled() ? "enabled" : "disabled"}.${isRescanNeeded ? " Rescanning." : ""}`,
+      );
+    // URLs skipped before may match now.
+    if (isRescanNeeded) restartScan();
+  }
+});
+
+// Forget the deleted URLs, so they are sent again when found again.
+chrome.runtime.onMessage.addListener((request) => {
+  if (request.action === "recordedUrlsDeleted") {
+    request.keys.forEach((key) =>
+      reportedKeys.delete(`${request.projectId} ${key}`),
+    );
+    if (DEBUG_MODE)
+      console.log(
+        `Content Script: ${request.keys.length} recorded URLs were deleted, they are sent again when found.`,
+      );
+  }
 });
 
+/**
+ * Describes the active projects' patterns, which decide what is recorded, so
+ * changes to them can be told from other project changes.
+ * @param {object[]} [projects] - The projects, as stored.
+ * @returns {string} The active projects' ids and patterns, as JSON.
+ */
+function getProjectPatternsSignature(projects) {
+  return JSON.stringify(
+    (projects || [])
+      .filter((project) => project.isActive)
+      .map((project) => [
+        project.id,
+        project.targetPatterns || [],
+        project.excludePatterns || [],
+      ]),
+  );
+}
+
+/**
+ * Applies new filter settings, compiling the patterns once for all found URLs.
+ * @param {object} settings - Any of the FILTER_SETTING_KEYS values, as stored.
+ */
+function setFilterSettings(settings) {
+  if (settings.projects !== undefined) {
+    activeProjects = compileActiveProjects(settings.projects || []);
+  }
+  if (settings.rewriteRules !== undefined) {
+    rewriteRules = compileRewriteRules(settings.rewriteRules || []).rules;
+  }
+  if (settings.isRecordingPaused !== undefined) {
+    isRecordingPaused = settings.isRecordingPaused || false;
+  }
+  if (
+    settings.siteAllowlist !== undefined ||
+    settings.siteDenylist !== undefined
+  ) {
+    if (settings.siteAllowlist !== undefined) {
+      siteAllowlist = settings.siteAllowlist || [];
+    }
+    if (settings.siteDenylist !== undefined) {
+      siteDenylist = settings.siteDenylist || [];
+    }
+    // The origin, unlike the URL, is inherited by about:blank frames.
+    isSiteRecordingEnabled = isSiteEnabled(
+      location.origin,
+      compileSitePatterns(siteAllowlist).matchers,
+      compileSitePatterns(siteDenylist).matchers,
+    );
+  }
+}
+
+/**
+ * Checks if the page needs scanning at all, i.e. if it is not a cross-origin
+ * frame, recording is active on it and any active project has target
+ * patterns. The content scripts are only registered where recording is
+ * active, but pages loaded before a change keep them.
+ * @returns {boolean} True if found URLs could be recorded.
+ */
+function isScanningEnabled() {
+  return (
+    isSameOriginFrame &&
+    !isRecordingPaused &&
+    isSiteRecordingEnabled &&
+    activeProjects.some((compiled) => compiled.targetMatchers.length > 0)
+  );
+}
+
+/**
+ * Adds a found URL to the map, keeping the source it was first discovered by.
+ * URLs the background would not record into any project, and URLs already
+ * sent from this page for each of those projects (by their deduplication key,
+ * as the background computes it), are dropped. Both are decided on the URL
+ * the rewrite rules give, while the URL as found is sent; the background
+ * rewrites it again and keeps it as the original URL.
+ * @param {Map<string, {source: string, descriptor: string|null, role: string|null}>} urlMap - The map of found URLs to their source.
+ * @param {string} url - The resolved URL.
+ * @param {string} source - How the URL was discovered (e.g. "a[href]", "data-url", "text").
+ * @param {object} [details] - What else is known about the URL.
+ * @param {string|null} [details.descriptor] - The srcset width or density descriptor (e.g. "2x", "640w").
+ * @param {string|null} [details.role] - The URL's meaning in the page's metadata (e.g. "canonical", "og:image").
+ */
+function addFoundUrl(urlMap, url, source, details = {}) {
+  const recordedUrl = rewriteUrl(url, rewriteRules);
+  const keys = findProjectMatches(recordedUrl, activeProjects).map(
+    ({ project, paramMatchers }) =>
+      `${project.id} ${getProjectDeduplicationKey(recordedUrl, project, paramMatchers)}`,
+  );
+  if (keys.every((key) => reportedKeys.has(key))) return;
+  keys.forEach((key) => reportedKeys.add(key));
+  if (!urlMap.has(url)) {
+    urlMap.set(url, {
+      source: source,
+      descriptor: details.descriptor || null,
+      role: details.role || null,
+    });
+  }
+}
+
+/**
+ * Splits a srcset attribute into its image candidates, following the HTML
+ * parsing rules: URLs may contain commas, and a comma only ends a candidate
+ * after whitespace or outside of its descriptor's parentheses.
+ * @param {string} srcset - The srcset value, e.g. "a.jpg 1x, b.jpg 2x".
+ * @returns {{url: string, descriptor: string|null}[]} The candidates, URLs still unresolved.
+ */
+function parseSrcset(srcset) {
+  const candidates = [];
+  let position = 0;
+  while (position < srcset.length) {
+    // Skip the whitespace and commas between candidates.
+    while (position < srcset.length && /[\s,]/.test(srcset[position])) {
+      position++;
+    }
+    if (position >= srcset.length) break;
+    let urlEnd = position;
+    while (urlEnd < srcset.length && !/\s/.test(srcset[urlEnd])) {
+      urlEnd++;
+    }
+    let url = srcset.slice(position, urlEnd);
+    position = urlEnd;
+    let descriptor = "";
+    if (url.endsWith(",")) {
+      // A trailing comma ends the candidate without descriptors.
+      url = url.replace(/,+$/, "");
+    } else {
+      let depth = 0;
+      while (position < srcset.length) {
+        const char = srcset[position];
+        if (char === "(") depth++;
+        else if (char === ")" && depth > 0) depth--;
+        else if (char === "," && depth === 0) break;
+        descriptor += char;
+        position++;
+      }
+    }
+    if (url) {
+      candidates.push({ url: url, descriptor: descriptor.trim() || null });
+    }
+  }
+  return candidates;
+}
+
+/**
+ * Extracts the candidate URLs of a srcset attribute.
+ * @param {string} srcset - The srcset value.
+ * @param {Map<string, {source: string, descriptor: string|null, role: string|null}>} urlMap - The map to add found URLs to.
+ * @param {string} source - The source to record, e.g. "img[srcset]".
+ */
+function extractUrlsFromSrcset(srcset, urlMap, source) {
+  parseSrcset(srcset).forEach((candidate) => {
+    try {
+      const url = new URL(candidate.url, document.baseURI).href;
+      addFoundUrl(urlMap, url, source, { descriptor: candidate.descriptor });
+      if (DEBUG_MODE)
+        console.log(
+          `Content Script: Found URL from ${source} (${candidate.descriptor || "no descriptor"}): ${url}`,
+        );
+    } catch (e) {
+      if (DEBUG_MODE)
+        console.error(
+          `Content Script: Invalid URL in ${source}:`,
+          candidate.url,
+          e,
+        );
+    }
+  });
+}
+
+/**
+ * Extracts URLs from CSS text: url() references, @import rules and the
+ * plain string images of image-set().
+ * @param {string} cssText - The CSS text, a declaration list or a whole stylesheet.
+ * @param {Map<string, {source: string, descriptor: string|null, role: string|null}>} urlMap - The map to add found URLs to.
+ * @param {string} source - The source to record, e.g. "style" or "stylesheet".
+ * @param {string} baseUrl - The URL relative references resolve against.
+ */
+function extractUrlsFromCssText(cssText, urlMap, source, baseUrl) {
+  if (!cssText) return;
+  const urlStrings = [];
+  // url(...) with a quoted or unquoted argument, and a required closing paren
+  const cssUrlRegex = /url\(\s*(?:"([^"]*)"|'([^']*)'|([^\s"'()]*))\s*\)/gi;
+  // @import "..." (the url() form is covered above)
+  const importRegex = /@import\s+(?:"([^"]*)"|'([^']*)')/gi;
+  // image-set(...) and its prefixed form, allowing one level of nested parens
+  const imageSetRegex = /(?:-webkit-)?image-set\(((?:[^()]|\([^()]*\))*)\)/gi;
+  let match;
+  while ((match = cssUrlRegex.exec(cssText)) !== null) {
+    urlStrings.push(match[1] ?? match[2] ?? match[3]);
+  }
+  while ((match = importRegex.exec(cssText)) !== null) {
+    urlStrings.push(match[1] ?? match[2]);
+  }
+  while ((match = imageSetRegex.exec(cssText)) !== null) {
+    // Drop url() and type() arguments, leaving the bare image strings.
+    const options = match[1].replace(/(?:url|type)\([^()]*\)/gi, "");
+    const stringRegex = /"([^"]*)"|'([^']*)'/g;
+    let stringMatch;
+    while ((stringMatch = stringRegex.exec(options)) !== null) {
+      urlStrings.push(stringMatch[1] ?? stringMatch[2]);
+    }
+  }
+  urlStrings.forEach((urlString) => {
+    // Fragment-only references point at SVG elements in the same document.
+    if (!urlString || urlString.startsWith("#")) return;
+    try {
+      const url = new URL(urlString, baseUrl).href;
+      addFoundUrl(urlMap, url, source);
+      if (DEBUG_MODE)
+        console.log(`Content Script: Found URL from ${source}: ${url}`);
+    } catch (e) {
+      if (DEBUG_MODE)
+        console.error(
+          `Content Script: Invalid URL in ${source}:`,
+          urlString,
+          e,
+        );
+    }
+  });
+}
+
 /**
  * Extracts URLs from inline styles (e.g., background-image: url(...))
  * @param {HTMLElement} element - The HTML element to check for inline styles.
- * @param {Set<string>} urlSet - The set to add found URLs to.
+ * @param {Map<string, {source: string, descriptor: string|null, role: string|null}>} urlMap - The map to add found URLs to.
  */
-function extractUrlsFromStyle(element, urlSet) {
+function extractUrlsFromStyle(element, urlMap) {
   // Changed to function declaration for hoisting
-  const style = element.getAttribute("style");
-  if (style) {
-    const urlMatches = style.match(/url\(['"]?(.*?)(?:['"]?\))?/g);
-    if (urlMatches) {
-      urlMatches.forEach((match) => {
-        let urlString = match.replace(/url\(['"]?/, "").replace(/['"]?\)/, "");
-        urlString = urlString.replace(/['"]$/, ""); // Remove any trailing quotes
+  extractUrlsFromCssText(
+    element.getAttribute("style"),
+    urlMap,
+    "style",
+    document.baseURI,
+  );
+}
+
+/**
+ * Extracts URLs from the rules of a stylesheet through the CSSOM, following
+ * @import rules and nested grouping rules such as @media and @supports.
+ * Cross-origin stylesheets do not expose their rules and are skipped.
+ * @param {CSSStyleSheet} sheet - The stylesheet.
+ * @param {Map<string, {source: string, descriptor: string|null, role: string|null}>} urlMap - The map to add found URLs to.
+ * @param {Set<CSSStyleSheet>} [visited] - Sheets already walked, to stop @import cycles.
+ */
+function extractUrlsFromStyleSheet(sheet, urlMap, visited = new Set()) {
+  if (!sheet || visited.has(sheet)) return;
+  visited.add(sheet);
+  let rules;
+  try {
+    rules = sheet.cssRules;
+  } catch (e) {
+    if (DEBUG_MODE)
+      console.log(
+        `Content Script: Skipping cross-origin stylesheet ${sheet.href}`,
+      );
+    return;
+  }
+  // Relative URLs in a stylesheet resolve against the stylesheet itself.
+  const baseUrl = sheet.href || document.baseURI;
+  const walkRules = (ruleList) => {
+    Array.from(ruleList).forEach((rule) => {
+      if (rule instanceof CSSImportRule) {
         try {
-          const url = new URL(urlString, document.baseURI).href;
-          urlSet.add(url);
-          if (DEBUG_MODE)
-            console.log(`Content Script: Found URL from inline style: ${url}`);
+          addFoundUrl(urlMap, new URL(rule.href, baseUrl).href, "@import");
         } catch (e) {
-          // Invalid URL string inside style, ignore or log if debug
           if (DEBUG_MODE)
-            console.error(
-              "Content Script: Invalid URL in style attribute:",
-              urlString,
-              e,
-            );
+            console.error("Content Script: Invalid @import URL:", rule.href, e);
         }
-      });
-    }
-  }
+        extractUrlsFromStyleSheet(rule.styleSheet, urlMap, visited);
+      } else if (rule.cssRules) {
+        walkRules(rule.cssRules);
+      } else {
+        extractUrlsFromCssText(rule.cssText, urlMap, "stylesheet", baseUrl);
+      }
+    });
+  };
+  walkRules(rules);
+}
+
+/**
+ * Extracts URLs from the stylesheets of a document or shadow root,
+ * including constructed stylesheets adopted by it.
+ * @param {Document|ShadowRoot} root - The document or shadow root.
+ * @param {Map<string, {source: string, descriptor: string|null, role: string|null}>} urlMap - The map to add found URLs to.
+ */
+function extractUrlsFromStyleSheets(root, urlMap) {
+  const sheets = Array.from(root.styleSheets || []).concat(
+    root.adoptedStyleSheets || [],
+  );
+  sheets.forEach((sheet) => extractUrlsFromStyleSheet(sheet, urlMap));
 }
 
 /**
  * Extracts URLs from onclick attributes (simple cases)
  * @param {HTMLElement} element - The HTML element to check for onclick attribute.
- * @param {Set<string>} urlSet - The set to add found URLs to.
+ * @param {Map<string, {source: string, descriptor: string|null, role: string|null}>} urlMap - The map to add found URLs to.
  */
-function extractUrlsFromOnclick(element, urlSet) {
+function extractUrlsFromOnclick(element, urlMap) {
   // Changed to function declaration for hoisting
   const onclickAttr = element.getAttribute("onclick");
   if (onclickAttr) {
@@ -71,7 +483,7 @@ function extractUrlsFromOnclick(element, urlSet) {
       const urlString = match[1];
       try {
         const url = new URL(urlString, document.baseURI).href;
-        urlSet.add(url);
+        addFoundUrl(urlMap, url, "onclick");
         if (DEBUG_MODE)
           console.log(`Content Script: Found URL from onclick: ${url}`);
       } catch (e) {
@@ -90,9 +502,9 @@ function extractUrlsFromOnclick(element, urlSet) {
 /**
  * Extracts URLs from the text content of <script> tags.
  * @param {HTMLScriptElement} scriptElement - The script element to extract URLs from.
- * @param {Set<string>} urlSet - The set to add found URLs to.
+ * @param {Map<string, {source: string, descriptor: string|null, role: string|null}>} urlMap - The map to add found URLs to.
  */
-function extractUrlsFromScriptContent(scriptElement, urlSet) {
+function extractUrlsFromScriptContent(scriptElement, urlMap) {
   // Changed to function declaration for hoisting
   if (scriptElement.textContent) {
     // More specific regex for URLs in script content
@@ -103,7 +515,7 @@ function extractUrlsFromScriptContent(scriptElement, urlSet) {
       const urlString = match[1];
       try {
         const url = new URL(urlString, document.baseURI).href;
-        urlSet.add(url);
+        addFoundUrl(urlMap, url, "script");
         if (DEBUG_MODE)
           console.log(`Content Script: Found URL from script content: ${url}`);
       } catch (e) {
@@ -122,12 +534,12 @@ function extractUrlsFromScriptContent(scriptElement, urlSet) {
 /**
  * Extracts URLs from general text content (e.g., within <div>, <span>).
  * @param {string} text - The text content to search for URLs.
- * @param {Set<string>} urlSet - The set to add found URLs to.
+ * @param {Map<string, {source: string, descriptor: string|null, role: string|null}>} urlMap - The map to add found URLs to.
  * @param {string} sourceDescription - A description of the text source for logging.
  */
 function extractUrlsFromTextContent(
   text,
-  urlSet,
+  urlMap,
   sourceDescription = "text content",
 ) {
   // Changed to function declaration for hoisting
@@ -141,7 +553,7 @@ function extractUrlsFromTextContent(
     const urlString = match[0];
     try {
       const url = new URL(urlString, document.baseURI).href;
-      urlSet.add(url);
+      addFoundUrl(urlMap, url, "text");
       if (DEBUG_MODE)
         console.log(
           `Content Script: Found URL from ${sourceDescription}: ${url}`,
@@ -159,229 +571,377 @@ function extractUrlsFromTextContent(
 }
 
 /**
- * Extracts all unique URLs from various HTML elements and attributes within a given node.
- * @param {Node} node - The DOM node to search within (e.g., document or a newly added element).
- * @returns {string[]} An array of unique URLs found.
+ * Extracts a URL from the attribute an extraction rule names, if the element
+ * matches the rule's selector.
+ * @param {Element} element - The element.
+ * @param {{selector: string, attribute: string}} rule - The extraction rule, see rules.js.
+ * @param {Map<string, {source: string, descriptor: string|null, role: string|null}>} urlMap - The map to add found URLs to.
  */
-function extractUrlsFromNode(node) {
-  const foundUrls = new Set();
+function extractUrlsWithRule(element, rule, urlMap) {
+  if (!element.matches(rule.selector)) return;
+  const urlString = element.getAttribute(rule.attribute);
+  if (!urlString) return;
+  if (rule.attribute === "srcset") {
+    extractUrlsFromSrcset(urlString, urlMap, rule.selector);
+    return;
+  }
+  try {
+    const url = new URL(urlString, document.baseURI).href;
+    addFoundUrl(urlMap, url, rule.selector);
+    if (DEBUG_MODE)
+      console.log(
+        `Content Script: Found URL from ${rule.selector} (${rule.attribute}): ${url}`,
+      );
+  } catch (e) {
+    if (DEBUG_MODE)
+      console.error(
+        `Content Script: Invalid URL in ${rule.selector} (${rule.attribute}):`,
+        urlString,
+        e,
+      );
+  }
+}
 
-  // Helper function to process elements with a given selector and attribute (for subtree queries)
-  const processElements = (selector, attribute, rootNode = node) => {
-    if (
-      rootNode.nodeType !== Node.ELEMENT_NODE &&
-      rootNode.nodeType !== Node.DOCUMENT_NODE
-    ) {
+/**
+ * Extracts URLs from any data-* attribute of an element whose value looks
+ * like a URL.
+ * @param {Element} element - The element.
+ * @param {Map<string, {source: string, descriptor: string|null, role: string|null}>} urlMap - The map to add found URLs to.
+ */
+function extractUrlsFromDataAttributes(element, urlMap) {
+  Array.from(element.attributes).forEach((attribute) => {
+    if (!attribute.name.startsWith("data-") || !looksLikeUrl(attribute.value)) {
       return;
     }
-    rootNode.querySelectorAll(selector).forEach((element) => {
-      const urlString = element.getAttribute(attribute);
-      if (urlString) {
-        try {
-          const url = new URL(urlString, document.baseURI).href;
-          foundUrls.add(url);
-          if (DEBUG_MODE)
-            console.log(
-              `Content Script: Found URL from ${selector}[${attribute}]: ${url}`,
-            );
-        } catch (e) {
-          if (DEBUG_MODE)
-            console.error(
-              `Content Script: Invalid URL in ${selector} tag (${attribute}):`,
-              urlString,
-              e,
-            );
-        }
-      }
-    });
-  };
+    try {
+      const url = new URL(attribute.value.trim(), document.baseURI).href;
+      addFoundUrl(urlMap, url, attribute.name);
+      if (DEBUG_MODE)
+        console.log(`Content Script: Found URL from ${attribute.name}: ${url}`);
+    } catch (e) {
+      // Looked like a URL but is not one.
+    }
+  });
+}
 
-  // If the node itself is an element, check its attributes and text content
-  if (node.nodeType === Node.ELEMENT_NODE) {
-    // Check the node itself for direct attributes (fixed to avoid empty selector)
-    const attributesToCheckDirectly = [
-      "href",
-      "src",
-      "action",
-      "srcset",
-      "poster",
-      "data",
-    ];
-    attributesToCheckDirectly.forEach((attr) => {
-      if (node.hasAttribute(attr)) {
-        const urlString = node.getAttribute(attr);
-        if (urlString) {
-          try {
-            const url = new URL(urlString, document.baseURI).href;
-            foundUrls.add(url);
-            if (DEBUG_MODE)
-              console.log(
-                `Content Script: Found URL from direct attribute ${attr} on element: ${url}`,
-              );
-          } catch (e) {
-            if (DEBUG_MODE)
-              console.error(
-                `Content Script: Invalid URL in direct attribute ${attr} on element:`,
-                urlString,
-                e,
-              );
-          }
-        }
+/**
+ * Resolves a URL found in metadata and adds it with its role.
+ * @param {Map<string, {source: string, descriptor: string|null, role: string|null}>} urlMap - The map to add found URLs to.
+ * @param {string} urlString - The URL as written in the metadata.
+ * @param {string} source - Where the metadata came from (e.g. "meta[property]", "json-ld").
+ * @param {string} role - The URL's meaning (e.g. "canonical", "og:image", "json-ld:@id").
+ * @param {string} [baseUrl] - The URL relative references resolve against.
+ */
+function addMetadataUrl(urlMap, urlString, source, role, baseUrl) {
+  if (typeof urlString !== "string") return;
+  urlString = urlString.trim();
+  // Fragment-only values, like JSON-LD node ids ("#organization"), are not pages.
+  if (!urlString || urlString.startsWith("#")) return;
+  try {
+    const url = new URL(urlString, baseUrl || document.baseURI).href;
+    addFoundUrl(urlMap, url, source, { role: role });
+    if (DEBUG_MODE)
+      console.log(`Content Script: Found ${role} URL from ${source}: ${url}`);
+  } catch (e) {
+    if (DEBUG_MODE)
+      console.error(
+        `Content Script: Invalid ${role} URL in ${source}:`,
+        urlString,
+        e,
+      );
+  }
+}
+
+/**
+ * Collects the URLs of a parsed JSON-LD value, tagging each with the
+ * property it was found under.
+ * @param {*} value - A JSON-LD object, array or value.
+ * @param {Map<string, {source: string, descriptor: string|null, role: string|null}>} urlMap - The map to add found URLs to.
+ * @param {string|null} key - The property the value belongs to, null at the top level.
+ */
+function extractUrlsFromJsonLd(value, urlMap, key = null) {
+  if (Array.isArray(value)) {
+    value.forEach((item) => extractUrlsFromJsonLd(item, urlMap, key));
+  } else if (value && typeof value === "object") {
+    Object.entries(value).forEach(([childKey, childValue]) => {
+      if (childKey !== "@context") {
+        extractUrlsFromJsonLd(childValue, urlMap, childKey);
       }
     });
+  } else if (typeof value === "string" && JSON_LD_URL_KEYS.includes(key)) {
+    addMetadataUrl(urlMap, value, "json-ld", `json-ld:${key}`);
+  }
+}
 
-    extractUrlsFromStyle(node, foundUrls);
-    extractUrlsFromOnclick(node, foundUrls);
-
-    if (node.tagName === "SCRIPT" && node.textContent)
-      extractUrlsFromScriptContent(node, foundUrls);
-
-    // Check data-* attributes on the node itself
-    const dataAttributesDirect = [
-      "data-url",
-      "data-href",
-      "data-link",
-      "data-src",
-      "data-image",
-      "data-background",
-      "data-original",
-      "data-original-src",
-      "data-original-href",
-      "data-video-src",
-      "data-poster",
-      "data-thumbnail",
-      "data-item-url",
-      "data-product-url",
-      "data-asset-url",
-      "data-api-url",
-      "data-redirect-url",
-      "data-target-url",
-    ];
-    dataAttributesDirect.forEach((attr) => {
-      if (node.hasAttribute(attr)) {
-        const urlString = node.getAttribute(attr);
-        if (urlString) {
-          try {
-            const url = new URL(urlString, document.baseURI).href;
-            foundUrls.add(url);
-            if (DEBUG_MODE)
-              console.log(
-                `Content Script: Found URL from ${attr} on element: ${url}`,
-              );
-          } catch (e) {
-            if (DEBUG_MODE)
-              console.error(
-                `Content Script: Invalid URL in ${attr} on element:`,
-                urlString,
-                e,
-              );
-          }
-        }
-      }
+/**
+ * Fetches a web app manifest and queues the URLs it declares: the start URL,
+ * scope, shortcuts, icons and screenshots. Each manifest is fetched once.
+ * @param {string} manifestUrl - The resolved manifest URL.
+ */
+function extractUrlsFromManifest(manifestUrl) {
+  if (fetchedManifests.has(manifestUrl)) return;
+  fetchedManifests.add(manifestUrl);
+  fetch(manifestUrl, { credentials: "same-origin" })
+    .then((response) => response.json())
+    .then((manifest) => {
+      const add = (urlString, role) =>
+        addMetadataUrl(
+          urlsToProcess,
+          urlString,
+          "manifest",
+          `manifest:${role}`,
+          manifestUrl,
+        );
+      add(manifest.start_url, "start_url");
+      add(manifest.scope, "scope");
+      (manifest.shortcuts || []).forEach((shortcut) => {
+        add(shortcut.url, "shortcut");
+        (shortcut.icons || []).forEach((icon) => add(icon.src, "icon"));
+      });
+      (manifest.icons || []).forEach((icon) => add(icon.src, "icon"));
+      (manifest.screenshots || []).forEach((screenshot) =>
+        add(screenshot.src, "screenshot"),
+      );
+      debouncedSendUrls();
+    })
+    .catch((e) => {
+      // Cross-origin manifests without CORS headers cannot be read here.
+      if (DEBUG_MODE)
+        console.error(
+          `Content Script: Failed to read manifest ${manifestUrl}:`,
+          e,
+        );
     });
+}
 
-    extractUrlsFromTextContent(
-      node.textContent,
-      foundUrls,
-      `element textContent (${node.tagName})`,
+/**
+ * Extracts URLs from an element of the page's structured metadata: link
+ * relations such as canonical, Open Graph and Twitter card meta tags, meta
+ * refresh, JSON-LD blocks and the web app manifest. Each URL is tagged with
+ * its role.
+ * @param {Element} element - The element.
+ * @param {Map<string, {source: string, descriptor: string|null, role: string|null}>} urlMap - The map to add found URLs to.
+ */
+function extractUrlsFromMetadata(element, urlMap) {
+  if (element.tagName === "LINK" && element.hasAttribute("href")) {
+    const rels = (element.getAttribute("rel") || "").toLowerCase().split(/\s+/);
+    const role = rels.find((rel) => LINK_REL_ROLES.includes(rel));
+    if (!role) return;
+    const hreflang = element.getAttribute("hreflang");
+    addMetadataUrl(
+      urlMap,
+      element.getAttribute("href"),
+      "link[rel]",
+      role === "alternate" && hreflang ? `alternate:${hreflang}` : role,
     );
+    if (role === "manifest") {
+      try {
+        extractUrlsFromManifest(new URL(element.href, document.baseURI).href);
+      } catch (e) {
+        // Unresolvable manifest URL, already reported by addMetadataUrl.
+      }
+    }
+  } else if (element.tagName === "META" && element.hasAttribute("content")) {
+    const key = (
+      element.getAttribute("property") ||
+      element.getAttribute("name") ||
+      ""
+    ).toLowerCase();
+    const content = element.getAttribute("content");
+    if (META_URL_PROPERTIES.includes(key)) {
+      addMetadataUrl(urlMap, content, "meta[content]", key);
+    } else if (
+      (element.getAttribute("http-equiv") || "").toLowerCase() === "refresh"
+    ) {
+      // "5; url=https://example.com/next" (the url= part is optional)
+      const refreshMatch = content.match(
+        /^\s*[\d.]*\s*[;,]?\s*(?:url\s*=\s*)?(['"]?)(.+?)\1\s*$/i,
+      );
+      if (refreshMatch && !/^[\d.]+$/.test(refreshMatch[2])) {
+        addMetadataUrl(urlMap, refreshMatch[2], "meta[http-equiv]", "refresh");
+      }
+    }
+  } else if (
+    element.tagName === "SCRIPT" &&
+    element.getAttribute("type") === "application/ld+json"
+  ) {
+    try {
+      extractUrlsFromJsonLd(JSON.parse(element.textContent), urlMap);
+    } catch (e) {
+      // Malformed JSON-LD is still scanned as script text.
+      if (DEBUG_MODE)
+        console.error("Content Script: Invalid JSON-LD block:", e);
+    }
   }
+}
 
-  // 1. Extract URLs from common link/resource elements (within the node's subtree)
-  processElements("a[href]", "href");
-  processElements("img[src]", "src");
-  processElements("link[href]", "href");
-  processElements("script[src]", "src");
-  processElements("iframe[src]", "src");
-  processElements("form[action]", "action");
-  processElements("img[srcset]", "srcset");
-  processElements("source[srcset]", "srcset");
-  processElements("video[poster]", "poster");
-  processElements("audio[src]", "src");
-  processElements("track[src]", "src");
-  processElements("object[data]", "data");
-  processElements("embed[src]", "src");
-  node
-    .querySelectorAll("script")
-    .forEach((scriptElement) =>
-      extractUrlsFromScriptContent(scriptElement, foundUrls),
+/**
+ * Extracts URLs from one element: its metadata, the attributes named by the
+ * active extraction rules, inline styles and handlers, and the content of
+ * <style> and <script> blocks. Text nodes and descendants are scanned
+ * separately, see scanNextChunk.
+ * @param {Element} element - The element.
+ * @param {Map<string, {source: string, descriptor: string|null, role: string|null}>} urlMap - The map to add found URLs to.
+ */
+function extractUrlsFromElement(element, urlMap) {
+  // Structured metadata goes first, so its URLs keep their semantic role.
+  extractUrlsFromMetadata(element, urlMap);
+  activeExtractionRules.forEach((rule) =>
+    extractUrlsWithRule(element, rule, urlMap),
+  );
+  if (isDataAttributeScanEnabled) {
+    extractUrlsFromDataAttributes(element, urlMap);
+  }
+  if (element.hasAttribute("style")) extractUrlsFromStyle(element, urlMap);
+  if (element.hasAttribute("onclick")) extractUrlsFromOnclick(element, urlMap);
+  if (element.tagName === "STYLE")
+    extractUrlsFromCssText(
+      element.textContent,
+      urlMap,
+      "style-element",
+      document.baseURI,
     );
+  if (element.tagName === "SCRIPT" && element.textContent)
+    extractUrlsFromScriptContent(element, urlMap);
+}
 
-  // 2. Extract URLs from inline styles (within the node's subtree)
-  node
-    .querySelectorAll("[style]")
-    .forEach((element) => extractUrlsFromStyle(element, foundUrls));
-
-  // 3. Extract URLs from data-* attributes (within the node's subtree)
-  const dataAttributesAll = [
-    "data-url",
-    "data-href",
-    "data-link",
-    "data-src",
-    "data-image",
-    "data-background",
-    "data-original",
-    "data-original-src",
-    "data-original-href",
-    "data-video-src",
-    "data-poster",
-    "data-thumbnail",
-    "data-item-url",
-    "data-product-url",
-    "data-asset-url",
-    "data-api-url",
-    "data-redirect-url",
-    "data-target-url",
-  ];
-  dataAttributesAll.forEach((attr) => {
-    if (
-      node.nodeType === Node.ELEMENT_NODE ||
-      node.nodeType === Node.DOCUMENT_NODE
-    ) {
-      node.querySelectorAll(`[${attr}]`).forEach((element) => {
-        const urlString = element.getAttribute(attr);
-        if (urlString) {
-          try {
-            const url = new URL(urlString, document.baseURI).href;
-            foundUrls.add(url);
-            if (DEBUG_MODE)
-              console.log(`Content Script: Found URL from ${attr}: ${url}`);
-          } catch (e) {
-            if (DEBUG_MODE)
-              console.error(
-                `Content Script: Invalid URL in ${attr}:`,
-                urlString,
-                e,
-              );
-          }
-        }
-      });
+/**
+ * Queues a document, shadow root or added element to be scanned, with its
+ * descendants, when the page is idle.
+ * @param {Node} root - The node to scan.
+ */
+function scheduleScan(root) {
+  if (!isScanningEnabled()) return;
+  scanQueue.push(root);
+  requestScanChunk();
+}
+
+/**
+ * Forgets which elements were scanned and scans the whole page again, e.g.
+ * after the extraction rules or patterns changed.
+ */
+function restartScan() {
+  seenElements = new WeakSet();
+  activeWalker = null;
+  scanQueue = [];
+  scheduleScan(document);
+}
+
+/**
+ * Asks for an idle callback to continue scanning, unless one is pending.
+ */
+function requestScanChunk() {
+  if (isScanChunkRequested) return;
+  isScanChunkRequested = true;
+  requestIdleCallback(scanNextChunk, { timeout: SCAN_IDLE_TIMEOUT });
+}
+
+/**
+ * Starts scanning a queued root: scans the root element itself, or the
+ * stylesheets of a document or shadow root, and returns a walker over its
+ * descendants. Elements already scanned are skipped with their subtree.
+ * @param {Node} root - The queued node.
+ * @returns {TreeWalker|null} The walker, or null if the root needs no scan.
+ */
+function startScan(root) {
+  if (root.nodeType === Node.ELEMENT_NODE) {
+    if (seenElements.has(root) || !root.isConnected) return null;
+    scanElement(root);
+  } else {
+    // The CSSOM also covers linked same-origin stylesheets and their @imports.
+    extractUrlsFromStyleSheets(root, urlsToProcess);
+  }
+  return document.createTreeWalker(
+    root,
+    NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT,
+    (node) =>
+      node.nodeType === Node.ELEMENT_NODE && seenElements.has(node)
+        ? NodeFilter.FILTER_REJECT
+        : NodeFilter.FILTER_ACCEPT,
+  );
+}
+
+/**
+ * Scans queued roots in one combined tree walk, for at most SCAN_CHUNK_BUDGET
+ * milliseconds of idle time, and asks for another idle callback if work is left.
+ * @param {IdleDeadline} deadline - The idle callback deadline.
+ */
+function scanNextChunk(deadline) {
+  isScanChunkRequested = false;
+  // Roots queued while a chunk ran may all have been scanned by it.
+  if (!activeWalker && scanQueue.length === 0) return;
+  const start = performance.now();
+  const isOutOfTime = () =>
+    performance.now() - start >= SCAN_CHUNK_BUDGET ||
+    (!deadline.didTimeout && deadline.timeRemaining() <= 0);
+
+  while (!isOutOfTime()) {
+    if (!activeWalker) {
+      if (scanQueue.length === 0) break;
+      activeWalker = startScan(scanQueue.shift());
+      continue;
     }
-  });
+    const node = activeWalker.nextNode();
+    if (!node) {
+      activeWalker = null;
+    } else if (node.nodeType === Node.ELEMENT_NODE) {
+      scanElement(node);
+    } else {
+      scanTextNode(node);
+    }
+  }
 
-  // 4. Extract URLs from onclick attributes (within the node's subtree)
-  node
-    .querySelectorAll("[onclick]")
-    .forEach((element) => extractUrlsFromOnclick(element, foundUrls));
+  scanStats.time += performance.now() - start;
+  debouncedSendUrls();
+  if (activeWalker || scanQueue.length > 0) {
+    requestScanChunk();
+  } else if (DEBUG_MODE) {
+    console.log(
+      `Content Script: Scan done. ${scanStats.elements} elements and ${scanStats.textNodes} text nodes scanned (${scanStats.skippedTextNodes} skipped), ${scanStats.time.toFixed(1)} ms spent on this page.`,
+    );
+  }
+}
 
-  // 6. Apply general text content scanning to all descendant text nodes
-  // This is the most aggressive scan, and can be CPU intensive.
-  node.querySelectorAll("*").forEach((element) => {
-    element.childNodes.forEach((child) => {
-      if (
-        child.nodeType === Node.TEXT_NODE &&
-        child.textContent.trim().length > 0
-      ) {
-        extractUrlsFromTextContent(
-          child.textContent,
-          foundUrls,
-          `descendant text node of ${element.tagName}`,
-        );
-      }
-    });
-  });
+/**
+ * Scans one element and marks it seen. Open shadow roots are observed and
+ * queued, since the tree walk does not enter them.
+ * @param {Element} element - The element.
+ */
+function scanElement(element) {
+  seenElements.add(element);
+  scanStats.elements++;
+  extractUrlsFromElement(element, urlsToProcess);
+  // Closed shadow roots are not exposed and stay unsearched.
+  if (element.shadowRoot) {
+    observeRoot(element.shadowRoot);
+    scheduleScan(element.shadowRoot);
+  }
+}
 
-  return Array.from(foundUrls);
+/**
+ * Scans a text node for URLs, up to the per-page text node limit.
+ * @param {Text} textNode - The text node.
+ */
+function scanTextNode(textNode) {
+  const parent = textNode.parentNode;
+  // <script> and <style> content has its own extractors.
+  if (parent && (parent.nodeName === "SCRIPT" || parent.nodeName === "STYLE"))
+    return;
+  if (textNode.textContent.trim().length === 0) return;
+  if (textScanLimit > 0 && scanStats.textNodes >= textScanLimit) {
+    if (DEBUG_MODE && scanStats.skippedTextNodes === 0)
+      console.log(
+        `Content Script: Text node limit of ${textScanLimit} reached, skipping further text.`,
+      );
+    scanStats.skippedTextNodes++;
+    return;
+  }
+  scanStats.textNodes++;
+  extractUrlsFromTextContent(
+    textNode.textContent,
+    urlsToProcess,
+    `text node of ${parent ? parent.nodeName : "document"}`,
+  );
 }
 
 /**
@@ -391,7 +951,10 @@ function debouncedSendUrls() {
   clearTimeout(debounceTimer);
   debounceTimer = setTimeout(() => {
     if (urlsToProcess.size > 0) {
-      const urlsArray = Array.from(urlsToProcess);
+      const urlsArray = Array.from(urlsToProcess, ([url, details]) => ({
+        url,
+        ...details,
+      }));
       if (DEBUG_MODE)
         console.log(
           `Content Script: Debounced sending ${urlsArray.length} URLs to background.`,
@@ -417,90 +980,193 @@ function debouncedSendUrls() {
   }, DEBOUNCE_DELAY);
 }
 
-// Initial extraction when the content script first loads (document_idle)
-extractUrlsFromNode(document).forEach((url) => urlsToProcess.add(url));
-debouncedSendUrls();
-
 // Set up a MutationObserver to watch for DOM changes (e.g., AJAX loaded content)
 const observer = new MutationObserver((mutations) => {
+  if (!isScanningEnabled()) return;
+  const start = performance.now();
   mutations.forEach((mutation) => {
     if (mutation.type === "childList" && mutation.addedNodes.length > 0) {
       mutation.addedNodes.forEach((node) => {
-        // Process element nodes and text nodes directly added
+        // Added elements are scanned with their subtree when the page is idle
         if (node.nodeType === Node.ELEMENT_NODE) {
-          extractUrlsFromNode(node).forEach((url) => urlsToProcess.add(url));
-        } else if (
-          node.nodeType === Node.TEXT_NODE &&
-          node.textContent.trim().length > 0
-        ) {
-          extractUrlsFromTextContent(
-            node.textContent,
-            urlsToProcess,
-            `added text node`,
-          );
+          scheduleScan(node);
+        } else if (node.nodeType === Node.TEXT_NODE) {
+          scanTextNode(node);
         }
       });
     }
-    // Also check attribute changes on existing elements if they might contain URLs
-    const attributesToObserve = [
-      "src",
-      "href",
-      "action",
-      "style",
-      "onclick",
-      "srcset",
-      "poster",
-      "data",
-      "data-url",
-      "data-href",
-      "data-link",
-      "data-src",
-      "data-image",
-      "data-background",
-      "data-original",
-      "data-original-src",
-      "data-original-href",
-      "data-video-src",
-      "data-poster",
-      "data-thumbnail",
-      "data-item-url",
-      "data-product-url",
-      "data-asset-url",
-      "data-api-url",
-      "data-redirect-url",
-      "data-target-url",
-    ];
+    // Attribute changes only need the changed element itself scanned again
     if (
       mutation.type === "attributes" &&
-      attributesToObserve.includes(mutation.attributeName) &&
+      isWatchedAttribute(mutation.attributeName) &&
       mutation.target.nodeType === Node.ELEMENT_NODE
     ) {
-      extractUrlsFromNode(mutation.target).forEach((url) =>
-        urlsToProcess.add(url),
-      );
+      extractUrlsFromElement(mutation.target, urlsToProcess);
     }
     // Observe character data changes (for text nodes)
     if (
       mutation.type === "characterData" &&
-      mutation.target.nodeType === Node.TEXT_NODE &&
-      mutation.target.textContent.trim().length > 0
+      mutation.target.nodeType === Node.TEXT_NODE
     ) {
-      extractUrlsFromTextContent(
-        mutation.target.textContent,
-        urlsToProcess,
-        `characterData change`,
-      );
+      scanTextNode(mutation.target);
     }
   });
+  scanStats.time += performance.now() - start;
 
   // Trigger debounced send after processing all mutations in the current batch
   debouncedSendUrls();
 });
 
-// Start observing the document body for changes
-observer.observe(document.body, {
-  childList: true,
-  subtree: true,
-  attributes: true,
-  characterData: true,
-});
+/**
+ * Starts observing a root for DOM changes, once. Mutations inside shadow
+ * roots are not reported to observers of the document, so each open shadow
+ * root gets observed too.
+ * @param {Node} root - The document body or a shadow root.
+ */
+function observeRoot(root) {
+  if (observedRoots.has(root)) return;
+  observedRoots.add(root);
+  observedRootRefs.push(new WeakRef(root));
+  observer.observe(root, getObserverOptions());
+}
+
+/**
+ * Builds the MutationObserver options. Only the attributes the extraction
+ * rules and built-in extractors read are watched, unless any data-*
+ * attribute may hold a URL.
+ * @returns {MutationObserverInit} The observer options.
+ */
+function getObserverOptions() {
+  const options = {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    characterData: true,
+  };
+  if (!isDataAttributeScanEnabled) {
+    options.attributeFilter = Array.from(
+      new Set(
+        BUILT_IN_ATTRIBUTES.concat(
+          activeExtractionRules.map((rule) => rule.attribute),
+        ),
+      ),
+    );
+  }
+  return options;
+}
+
+/**
+ * Checks if a changed attribute may hold a URL under the current settings.
+ * @param {string} attributeName - The name of the changed attribute.
+ * @returns {boolean} True if the element should be scanned again.
+ */
+function isWatchedAttribute(attributeName) {
+  return (
+    BUILT_IN_ATTRIBUTES.includes(attributeName) ||
+    activeExtractionRules.some((rule) => rule.attribute === attributeName) ||
+    (isDataAttributeScanEnabled && attributeName.startsWith("data-"))
+  );
+}
+
+/**
+ * Applies new extraction settings, keeping the rules that apply to this page
+ * and updating the attributes every observed root is watched for.
+ * @param {object[]} rules - All extraction rules, see rules.js.
+ * @param {boolean} scanDataAttributes - Whether any data-* attribute holding a URL is read.
+ */
+function setExtractionSettings(rules, scanDataAttributes) {
+  extractionRules = rules;
+  // By origin, as for the site lists, so about:blank frames get their parent's rules.
+  activeExtractionRules = getActiveExtractionRules(
+    rules,
+    location.origin,
+  ).filter((rule) => {
+    try {
+      document.createDocumentFragment().querySelector(rule.selector);
+      return true;
+    } catch (e) {
+      if (DEBUG_MODE)
+        console.error(
+          `Content Script: Skipping rule with invalid selector "${rule.selector}"`,
+        );
+      return false;
+    }
+  });
+  isDataAttributeScanEnabled = scanDataAttributes;
+  // Observing a root again replaces its options.
+  observedRootRefs = observedRootRefs.filter((ref) => {
+    const root = ref.deref();
+    if (root) observer.observe(root, getObserverOptions());
+    return root !== undefined;
+  });
+}
+
+// Shadow roots attached to hosts already in the document, e.g. by custom
+// elements upgraded late, do not show up as DOM mutations.
+document.addEventListener(
+  SHADOW_ROOT_ATTACHED_EVENT,
+  (event) => {
+    const host = event.composedPath()[0];
+    if (!host || !host.shadowRoot || observedRoots.has(host.shadowRoot)) {
+      return;
+    }
+    if (DEBUG_MODE)
+      console.log(
+        `Content Script: Shadow root attached to <${host.tagName.toLowerCase()}>`,
+      );
+    observeRoot(host.shadowRoot);
+    scheduleScan(host.shadowRoot);
+  },
+  true,
+);
+
+// Linked stylesheets added later only expose their rules once loaded.
+document.addEventListener(
+  "load",
+  (event) => {
+    if (
+      isScanningEnabled() &&
+      event.target instanceof HTMLLinkElement &&
+      event.target.sheet
+    ) {
+      extractUrlsFromStyleSheet(event.target.sheet, urlsToProcess);
+      debouncedSendUrls();
+    }
+  },
+  true,
+);
+
+chrome.storage.local.get(
+  [
+    "extractionRules",
+    "isDataAttributeScanEnabled",
+    "textScanLimit",
+    ...FILTER_SETTING_KEYS,
+  ],
+  (result) => {
+    setFilterSettings({
+      projects: result.projects || [],
+      rewriteRules: result.rewriteRules || [],
+      isRecordingPaused: result.isRecordingPaused || false,
+      siteAllowlist: result.siteAllowlist || [],
+      siteDenylist: result.siteDenylist || [],
+    });
+    setExtractionSettings(
+      result.extractionRules || DEFAULT_EXTRACTION_RULES,
+      result.isDataAttributeScanEnabled || false,
+    );
+    textScanLimit = result.textScanLimit || 0;
+
+    // Initial scan when the content script first loads (document_idle);
+    // shadow roots found on the way are observed as they are reached.
+    // Without target patterns there is nothing to record, so no scan runs.
+    if (DEBUG_MODE && !isScanningEnabled())
+      console.log(
+        "Content Script: Cross-origin frame, recording paused, disabled here or no target patterns set, not scanning.",
+      );
+    scheduleScan(document);
+
+    // Start observing the document body for changes
+    observeRoot(document.body || document.documentElement);
+  },
+);
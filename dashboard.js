@@ -0,0 +1,465 @@
+// dashboard.js
+// This script handles the UI logic for the dashboard, the extension's options
+// page: a sortable table of all recorded URLs that updates live, the pattern
+// and simplification settings, import/export and statistics.
+
+document.addEventListener("DOMContentLoaded", () => {
+  const tableScroll = document.getElementById("tableScroll");
+  const tableHeader = document.getElementById("tableHeader");
+  const tableBody = document.getElementById("tableBody");
+  const searchInput = document.getElementById("searchInput");
+  const searchModeSelect = document.getElementById("searchModeSelect");
+  const shownCount = document.getElementById("shownCount");
+  const projectSelect = document.getElementById("projectSelect");
+  const setPatternsButton = document.getElementById("setPatternsButton");
+  const setExcludesButton = document.getElementById("setExcludesButton");
+  const simplifyUrlsToggle = document.getElementById("simplifyUrlsToggle");
+  const ignoredParamsInput = document.getElementById("ignoredParamsInput");
+  const normalizationOptions = document.getElementById("normalizationOptions");
+  const storeNormalizedUrlToggle = document.getElementById(
+    "storeNormalizedUrlToggle",
+  );
+  const exportButton = document.getElementById("exportButton");
+  const copyExportButton = document.getElementById("copyExportButton");
+  const exportControls = {
+    formatSelect: document.getElementById("exportFormatSelect"),
+    templateInput: document.getElementById("exportTemplateInput"),
+    shownOnlyToggle: document.getElementById("exportShownOnlyToggle"),
+  };
+  const importInput = document.getElementById("importInput");
+  const importBypassPatternsToggle = document.getElementById(
+    "importBypassPatternsToggle",
+  );
+  const importReport = document.getElementById("importReport");
+
+  // Pattern textareas with their line gutter, error list and line validator
+  const patternEditor = {
+    textarea: document.getElementById("patternInput"),
+    gutter: document.getElementById("patternGutter"),
+    errorList: document.getElementById("patternErrors"),
+    validate: (lines) => compilePatterns(lines).errors,
+  };
+  const excludeEditor = {
+    textarea: document.getElementById("excludeInput"),
+    gutter: document.getElementById("excludeGutter"),
+    errorList: document.getElementById("excludeErrors"),
+    validate: (lines) => compilePatterns(lines).errors,
+  };
+
+  const ROW_HEIGHT = 28; // Pixel height of every table row, see td in dashboard.html
+  const ROW_OVERSCAN = 10; // Rows rendered above and below the visible ones
+  const SEARCH_DELAY = 150; // milliseconds to wait for typing to stop before searching
+  const LIVE_UPDATE_DELAY = 1000; // milliseconds to collect change notifications before fetching
+  const DAY = 24 * 60 * 60 * 1000; // milliseconds in a day, for the statistics
+  const TOP_LIST_SIZE = 10; // Entries in the top domains and sources lists
+
+  // Table columns: the header, the cell text and, if it differs, the sort value
+  const COLUMNS = [
+    { label: "URL", value: (record) => record.url },
+    { label: "Domain", value: (record) => record.domain || "" },
+    { label: "Source", value: (record) => record.source || "" },
+    { label: "Role", value: (record) => record.role || "" },
+    { label: "Descriptor", value: (record) => record.descriptor || "" },
+    { label: "Pattern", value: (record) => record.pattern || "" },
+    {
+      label: "Page",
+      value: (record) => record.pageTitle || record.pageUrl || "",
+    },
+    {
+      label: "First seen",
+      value: (record) => formatTimestamp(record.firstSeen),
+      sortValue: (record) => record.firstSeen || 0,
+    },
+    {
+      label: "Last seen",
+      value: (record) => formatTimestamp(record.lastSeen),
+      sortValue: (record) => record.lastSeen || 0,
+    },
+    {
+      label: "Hits",
+      value: (record) => `${record.hits || 1}`,
+      sortValue: (record) => record.hits || 1,
+    },
+    {
+      label: "Pinned",
+      value: (record) => (record.pinned ? "★" : ""),
+      sortValue: (record) => (record.pinned ? 1 : 0),
+    },
+    {
+      label: "Request",
+      value: (record) =>
+        record.request
+          ? `${record.request.method} ${record.request.resourceType} ${record.request.statusCode === null ? "failed" : record.request.statusCode}`
+          : "",
+    },
+    {
+      label: "Navigation",
+      value: (record) =>
+        record.navigation ? record.navigation.transitionType || "failed" : "",
+    },
+    { label: "Original URL", value: (record) => record.originalUrl || "" },
+  ];
+
+  let recordsByKey = new Map(); // All loaded records by their key
+  let tableRecords = []; // Records in the table, after the search and sorted
+  let totalRecordCount = 0; // Records stored in the background
+  let syncedSince = 0; // Latest last-seen time of the loaded records
+  let loadId = 0; // Identifies the latest full load, so stale results are dropped
+  let isLoading = false; // Whether a full load is running
+  let needsReload = false; // Whether a change notification asked for a full load
+  let liveUpdateTimer = null; // Timer for collecting change notifications
+  let searchTimer; // Timer for debouncing the search
+  let isRowRenderScheduled = false; // Whether a frame is pending to render rows
+  let sortColumn = COLUMNS.findIndex((column) => column.label === "First seen");
+  let sortDirection = -1; // 1 for ascending, -1 for descending
+
+  [patternEditor, excludeEditor].forEach(initPatternEditor);
+  initExportControls(exportControls);
+
+  /**
+   * Fetches the current settings from the background and fills in the
+   * editors. No records are requested; the table loads them separately.
+   */
+  function loadSettings() {
+    chrome.runtime.sendMessage(
+      { action: "getRecordedUrls", offset: 0, limit: 0 },
+      (response) => {
+        if (!response) {
+          showMessage("Failed to load the settings.", "error");
+          return;
+        }
+        renderProjectSelect(
+          projectSelect,
+          response.projects,
+          response.projectId,
+        );
+        patternEditor.textarea.value = response.targetPatterns.join("\n");
+        excludeEditor.textarea.value = response.excludePatterns.join("\n");
+        validatePatternEditor(patternEditor);
+        validatePatternEditor(excludeEditor);
+        simplifyUrlsToggle.checked = response.isUrlSimplificationEnabled;
+        ignoredParamsInput.value = response.ignoredUrlParams.join(", ");
+        setNormalizationOptions(
+          normalizationOptions,
+          response.normalizationOptions,
+        );
+        storeNormalizedUrlToggle.checked = response.isNormalizedUrlStored;
+      },
+    );
+  }
+
+  /**
+   * Loads every recorded URL from the background and rebuilds the table.
+   */
+  function loadAllRecords() {
+    const id = ++loadId;
+    isLoading = true;
+    fetchAllRecordedUrls((records) => {
+      if (id !== loadId) return;
+      isLoading = false;
+      if (!records) {
+        showMessage("Failed to load the recorded URLs.", "error");
+        return;
+      }
+      recordsByKey = new Map(records.map((record) => [record.key, record]));
+      totalRecordCount = records.length;
+      syncedSince = records.reduce(
+        (latest, record) => Math.max(latest, record.lastSeen || 0),
+        0,
+      );
+      updateTable();
+    });
+  }
+
+  /**
+   * Fetches the records seen since the last load, i.e. new URLs and URLs
+   * seen again, and merges them into the table.
+   * @param {number} since - The last-seen time to fetch from, kept for all pages.
+   * @param {number} offset - The offset of the next page to fetch.
+   */
+  function fetchUpdatedRecords(since = syncedSince, offset = 0) {
+    chrome.runtime.sendMessage(
+      {
+        action: "getRecordedUrls",
+        since: since,
+        offset: offset,
+        limit: RECORDS_PAGE_SIZE,
+      },
+      (response) => {
+        if (!response || !response.urls) return;
+        response.urls.forEach((record) => {
+          recordsByKey.set(record.key, record);
+          syncedSince = Math.max(syncedSince, record.lastSeen || 0);
+        });
+        totalRecordCount = response.total;
+        if (response.urls.length === RECORDS_PAGE_SIZE) {
+          fetchUpdatedRecords(since, offset + response.urls.length);
+        } else {
+          updateTable();
+        }
+      },
+    );
+  }
+
+  /**
+   * Applies the collected change notifications: a full load after deletes
+   * and other changes, otherwise only the records seen since the last load.
+   */
+  function applyLiveUpdate() {
+    liveUpdateTimer = null;
+    if (isLoading) {
+      scheduleLiveUpdate();
+    } else if (needsReload) {
+      needsReload = false;
+      loadAllRecords();
+    } else {
+      fetchUpdatedRecords();
+    }
+  }
+
+  /**
+   * Applies change notifications after a short delay, so a burst of them
+   * costs one fetch.
+   */
+  function scheduleLiveUpdate() {
+    if (liveUpdateTimer === null) {
+      liveUpdateTimer = setTimeout(applyLiveUpdate, LIVE_UPDATE_DELAY);
+    }
+  }
+
+  // The background announces every change to the recorded URLs, and when
+  // another project becomes the current one, e.g. from the popup.
+  chrome.runtime.onMessage.addListener((request) => {
+    if (request.action === "recordedUrlsChanged") {
+      if (request.change === "project") {
+        loadSettings();
+        loadAllRecords();
+        return;
+      }
+      if (request.change === "reset") needsReload = true;
+      scheduleLiveUpdate();
+    }
+  });
+
+  // The project change notification reloads the settings and the table.
+  projectSelect.addEventListener("change", () => {
+    switchProject(projectSelect.value, () =>
+      showMessage("Switched projects.", "success"),
+    );
+  });
+
+  /**
+   * Filters and sorts the loaded records for the table, then renders the
+   * visible rows and the statistics.
+   */
+  function updateTable() {
+    const { records, error } = filterRecordsBySearch(
+      Array.from(recordsByKey.values()),
+      searchInput.value.trim(),
+      searchModeSelect.value,
+    );
+    searchInput.classList.toggle("search-error", error !== null);
+    searchInput.title = error || "";
+
+    const column = COLUMNS[sortColumn];
+    const sortValue = column.sortValue || column.value;
+    tableRecords = records.sort((a, b) => {
+      const valueA = sortValue(a);
+      const valueB = sortValue(b);
+      const order =
+        typeof valueA === "number"
+          ? valueA - valueB
+          : valueA.localeCompare(valueB);
+      return order * sortDirection;
+    });
+
+    shownCount.textContent =
+      tableRecords.length === totalRecordCount
+        ? `${totalRecordCount} URLs`
+        : `${tableRecords.length} of ${totalRecordCount} URLs`;
+    renderHeader();
+    renderRows();
+    renderStatistics();
+  }
+
+  /**
+   * Renders the column headers, marking the sorted one. Clicking a header
+   * sorts by it, or reverses the order if it is sorted by already.
+   */
+  function renderHeader() {
+    tableHeader.innerHTML = "";
+    COLUMNS.forEach((column, i) => {
+      const th = document.createElement("th");
+      th.textContent = column.label;
+      if (i === sortColumn) {
+        th.classList.add(sortDirection === 1 ? "sorted-asc" : "sorted-desc");
+      }
+      th.addEventListener("click", () => {
+        sortDirection = i === sortColumn ? -sortDirection : 1;
+        sortColumn = i;
+        updateTable();
+      });
+      tableHeader.appendChild(th);
+    });
+  }
+
+  /**
+   * Builds a spacer row standing in for rows that are not rendered.
+   * @param {number} rowCount - The number of rows it stands in for.
+   * @returns {HTMLTableRowElement} The spacer row.
+   */
+  function buildSpacerRow(rowCount) {
+    const tr = document.createElement("tr");
+    tr.classList.add("spacer");
+    const td = document.createElement("td");
+    td.colSpan = COLUMNS.length;
+    td.style.height = `${rowCount * ROW_HEIGHT}px`;
+    tr.appendChild(td);
+    return tr;
+  }
+
+  /**
+   * Renders the table rows that are scrolled into view, plus a few around
+   * them, between spacer rows giving the table its full height.
+   */
+  function renderRows() {
+    tableBody.innerHTML = "";
+    const first = Math.max(
+      0,
+      Math.floor(tableScroll.scrollTop / ROW_HEIGHT) - ROW_OVERSCAN,
+    );
+    const last = Math.min(
+      tableRecords.length,
+      Math.ceil(
+        (tableScroll.scrollTop + tableScroll.clientHeight) / ROW_HEIGHT,
+      ) + ROW_OVERSCAN,
+    );
+    if (first > 0) {
+      tableBody.appendChild(buildSpacerRow(first));
+    }
+    for (let i = first; i < last; i++) {
+      const record = tableRecords[i];
+      const tr = document.createElement("tr");
+      COLUMNS.forEach((column) => {
+        const td = document.createElement("td");
+        const text = column.value(record);
+        if (column.label === "URL") {
+          const a = document.createElement("a");
+          a.href = record.url;
+          a.textContent = text;
+          a.target = "_blank";
+          td.appendChild(a);
+        } else {
+          td.textContent = text;
+        }
+        td.title = text;
+        tr.appendChild(td);
+      });
+      tableBody.appendChild(tr);
+    }
+    if (last < tableRecords.length) {
+      tableBody.appendChild(buildSpacerRow(tableRecords.length - last));
+    }
+  }
+
+  /**
+   * Fills an ordered list with the most frequent values and their counts.
+   * @param {HTMLOListElement} list - The list element.
+   * @param {Map<string, number>} counts - The count of each value.
+   */
+  function renderTopList(list, counts) {
+    list.innerHTML = "";
+    Array.from(counts.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, TOP_LIST_SIZE)
+      .forEach(([value, count]) => {
+        const li = document.createElement("li");
+        li.textContent = `${value} (${count})`;
+        list.appendChild(li);
+      });
+  }
+
+  /**
+   * Computes the statistics over all loaded records.
+   */
+  function renderStatistics() {
+    const domainCounts = new Map();
+    const sourceCounts = new Map();
+    const dayAgo = Date.now() - DAY;
+    let lastDayCount = 0;
+    let pinnedCount = 0;
+    recordsByKey.forEach((record) => {
+      const domain = record.domain || "(no domain)";
+      domainCounts.set(domain, (domainCounts.get(domain) || 0) + 1);
+      const source = record.source || "unknown";
+      sourceCounts.set(source, (sourceCounts.get(source) || 0) + 1);
+      if (record.lastSeen >= dayAgo) lastDayCount++;
+      if (record.pinned) pinnedCount++;
+    });
+    document.getElementById("statTotal").textContent = totalRecordCount;
+    document.getElementById("statDomains").textContent = domainCounts.size;
+    document.getElementById("statLastDay").textContent = lastDayCount;
+    document.getElementById("statPinned").textContent = pinnedCount;
+    renderTopList(document.getElementById("statTopDomains"), domainCounts);
+    renderTopList(document.getElementById("statSources"), sourceCounts);
+  }
+
+  tableScroll.addEventListener("scroll", () => {
+    if (isRowRenderScheduled) return;
+    isRowRenderScheduled = true;
+    requestAnimationFrame(() => {
+      isRowRenderScheduled = false;
+      renderRows();
+    });
+  });
+
+  searchInput.addEventListener("input", () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(updateTable, SEARCH_DELAY);
+  });
+  searchModeSelect.addEventListener("change", updateTable);
+
+  // Event listeners for the settings
+  setPatternsButton.addEventListener("click", () =>
+    sendTargetPatterns(patternEditor, loadSettings),
+  );
+  setExcludesButton.addEventListener("click", () =>
+    sendExcludePatterns(excludeEditor, loadSettings),
+  );
+  simplifyUrlsToggle.addEventListener("change", saveSimplificationSettings);
+  ignoredParamsInput.addEventListener("change", saveSimplificationSettings);
+  renderNormalizationOptions(normalizationOptions, saveSimplificationSettings);
+  storeNormalizedUrlToggle.addEventListener(
+    "change",
+    saveSimplificationSettings,
+  );
+
+  function saveSimplificationSettings() {
+    sendSimplificationSettings(
+      simplifyUrlsToggle.checked,
+      parseIgnoredParams(ignoredParamsInput.value),
+      readNormalizationOptions(normalizationOptions),
+      storeNormalizedUrlToggle.checked,
+    );
+  }
+
+  // Event listeners for downloading and copying the recorded URLs in the
+  // picked export format
+  exportButton.addEventListener("click", () =>
+    exportRecordsWithControls(exportControls, tableRecords, "download"),
+  );
+  copyExportButton.addEventListener("click", () =>
+    exportRecordsWithControls(exportControls, tableRecords, "copy"),
+  );
+
+  // Event listener for importing URLs; the table updates once they are written
+  importInput.addEventListener("change", () => {
+    const file = importInput.files[0];
+    if (!file) return;
+    importInput.value = "";
+    importUrlFile(file, importBypassPatternsToggle.checked, importReport);
+  });
+
+  loadSettings();
+  loadAllRecords();
+});
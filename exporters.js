@@ -0,0 +1,200 @@
+// exporters.js
+// Export formats for the recorded URLs, shared by the popup and the dashboard
+// so a download or copy gives the same file wherever it is started from.
+//
+// Custom templates are a line per URL with `{field}` placeholders, e.g.
+// `{domain}\t{url}`; `\t` and `\n` stand for a tab and a line break.
+// See EXPORT_TEMPLATE_FIELDS for the fields.
+
+const EXPORT_CSV_COLUMNS = [
+  "url",
+  "domain",
+  "path",
+  "query",
+  "pattern",
+  "timestamp",
+];
+const DEFAULT_EXPORT_TEMPLATE = "{domain}\\t{url}";
+
+/**
+ * Reads the path and query of a URL.
+ * @param {string} url - The URL.
+ * @returns {{path: string, query: string}} The path, and the query without its `?`;
+ *   both empty if the URL can't be parsed.
+ */
+function getUrlParts(url) {
+  try {
+    const urlObj = new URL(url);
+    return { path: urlObj.pathname, query: urlObj.search.slice(1) };
+  } catch (e) {
+    return { path: "", query: "" };
+  }
+}
+
+/**
+ * Formats a record timestamp for export.
+ * @param {number|null} timestamp - Milliseconds since the epoch, or null if unknown.
+ * @returns {string} The ISO 8601 date, or an empty string if unknown.
+ */
+function formatExportTimestamp(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : "";
+}
+
+// Fields available to templates and, for those in EXPORT_CSV_COLUMNS, to CSV.
+const EXPORT_TEMPLATE_FIELDS = {
+  url: (record) => record.url,
+  domain: (record) => record.domain || "",
+  path: (record) => getUrlParts(record.url).path,
+  query: (record) => getUrlParts(record.url).query,
+  pattern: (record) => record.pattern || "",
+  timestamp: (record) => formatExportTimestamp(record.firstSeen),
+  firstSeen: (record) => formatExportTimestamp(record.firstSeen),
+  lastSeen: (record) => formatExportTimestamp(record.lastSeen),
+  hits: (record) => String(record.hits || 1),
+  source: (record) => record.source || "",
+  role: (record) => record.role || "",
+  pageUrl: (record) => record.pageUrl || "",
+  pageTitle: (record) => record.pageTitle || "",
+  originalUrl: (record) => record.originalUrl || "",
+};
+
+/**
+ * Quotes a CSV field if needed, as described in RFC 4180.
+ * @param {string} value - The field value.
+ * @returns {string} The field, quoted if it contains a comma, quote or line break.
+ */
+function escapeCsvField(value) {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Escapes text for use in HTML content or a quoted attribute.
+ * @param {string} text - The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Builds a Markdown link to a URL, showing the URL itself.
+ * @param {string} url - The URL.
+ * @returns {string} The link.
+ */
+function formatMarkdownLink(url) {
+  const text = url.replace(/[\\[\]]/g, "\\$&");
+  const destination = url.replace(/[ ()<>]/g, (char) =>
+    encodeURIComponent(char).replace("(", "%28").replace(")", "%29"),
+  );
+  return `[${text}](${destination})`;
+}
+
+/**
+ * Fills a line template for a record. Unknown placeholders are kept as typed.
+ * @param {string} template - The template, e.g. `{domain}\t{url}`.
+ * @param {object} record - A recorded URL record.
+ * @returns {string} The line.
+ */
+function fillExportTemplate(template, record) {
+  return template
+    .replace(/\\t/g, "\t")
+    .replace(/\\n/g, "\n")
+    .replace(/\{(\w+)\}/g, (placeholder, field) =>
+      Object.prototype.hasOwnProperty.call(EXPORT_TEMPLATE_FIELDS, field)
+        ? EXPORT_TEMPLATE_FIELDS[field](record)
+        : placeholder,
+    );
+}
+
+// The export formats, in the order they are offered.
+const EXPORT_FORMATS = {
+  text: {
+    label: "Plain text",
+    extension: "txt",
+    mimeType: "text/plain",
+    build: (records) => records.map((record) => record.url).join("\n"),
+  },
+  csv: {
+    label: "CSV",
+    extension: "csv",
+    mimeType: "text/csv",
+    build: (records) =>
+      [
+        EXPORT_CSV_COLUMNS.join(","),
+        ...records.map((record) =>
+          EXPORT_CSV_COLUMNS.map((column) =>
+            escapeCsvField(EXPORT_TEMPLATE_FIELDS[column](record)),
+          ).join(","),
+        ),
+      ].join("\r\n"),
+  },
+  json: {
+    label: "JSON",
+    extension: "json",
+    mimeType: "application/json",
+    build: (records) => JSON.stringify(records, null, 2),
+  },
+  jsonl: {
+    label: "JSON Lines",
+    extension: "jsonl",
+    mimeType: "application/jsonl",
+    build: (records) =>
+      records.map((record) => JSON.stringify(record)).join("\n"),
+  },
+  markdown: {
+    label: "Markdown links",
+    extension: "md",
+    mimeType: "text/markdown",
+    build: (records) =>
+      records.map((record) => `- ${formatMarkdownLink(record.url)}`).join("\n"),
+  },
+  bookmarks: {
+    label: "Bookmarks HTML",
+    extension: "html",
+    mimeType: "text/html",
+    build: (records) =>
+      [
+        "<!DOCTYPE NETSCAPE-Bookmark-file-1>",
+        '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+        "<TITLE>Bookmarks</TITLE>",
+        "<H1>Bookmarks</H1>",
+        "<DL><p>",
+        "    <DT><H3>Recorded URLs</H3>",
+        "    <DL><p>",
+        ...records.map((record) => {
+          const addDate = Math.floor((record.firstSeen || Date.now()) / 1000);
+          const url = escapeHtml(record.url);
+          return `        <DT><A HREF="${url}" ADD_DATE="${addDate}">${url}</A>`;
+        }),
+        "    </DL><p>",
+        "</DL><p>",
+      ].join("\n"),
+  },
+  template: {
+    label: "Custom template",
+    extension: "txt",
+    mimeType: "text/plain",
+    build: (records, template) =>
+      records.map((record) => fillExportTemplate(template, record)).join("\n"),
+  },
+};
+
+/**
+ * Builds an export of records.
+ * @param {object[]} records - The records to export.
+ * @param {string} formatName - A key of EXPORT_FORMATS.
+ * @param {string} [template] - The line template, for the `template` format.
+ * @returns {{content: string, filename: string, mimeType: string}} The export.
+ */
+function buildExport(records, formatName, template = DEFAULT_EXPORT_TEMPLATE) {
+  const format = EXPORT_FORMATS[formatName] || EXPORT_FORMATS.text;
+  return {
+    content: format.build(records, template),
+    filename: `recorded_urls.${format.extension}`,
+    mimeType: format.mimeType,
+  };
+}
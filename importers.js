@@ -0,0 +1,206 @@
+// importers.js
+// Reads URL lists for import from the dashboard. Each parser turns a file
+// into import entries, which the background validates, filters and
+// deduplicates like recorded URLs, see importUrls in background.js.
+//
+// An entry is a URL string, or an object with the URL and the metadata the
+// file has on it, e.g. a JSON export of this extension or a HAR capture.
+
+// Record fields kept from JSON and JSON Lines entries.
+const IMPORT_RECORD_FIELDS = [
+  "url",
+  "firstSeen",
+  "lastSeen",
+  "hits",
+  "pageUrl",
+  "pageTitle",
+  "role",
+  "originalUrl",
+  "source",
+  "pattern",
+  "request",
+];
+
+/**
+ * Splits CSV text into rows of fields, as described in RFC 4180.
+ * @param {string} text - The CSV text.
+ * @returns {string[][]} The rows, without empty lines.
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let isQuoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (isQuoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        isQuoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      isQuoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+  return rows.filter((r) => r.length > 1 || r[0].trim() !== "");
+}
+
+/**
+ * Reads the URLs of CSV text: the `url` column if there is a header row
+ * naming one, otherwise the first column.
+ * @param {string} text - The CSV text.
+ * @returns {string[]} The URLs, one per row.
+ */
+function parseCsvImport(text) {
+  const rows = parseCsvRows(text);
+  if (rows.length === 0) return [];
+  const urlColumn = rows[0].findIndex(
+    (header) => header.trim().toLowerCase() === "url",
+  );
+  if (urlColumn === -1) {
+    return rows.map((row) => row[0].trim());
+  }
+  return rows.slice(1).map((row) => (row[urlColumn] || "").trim());
+}
+
+/**
+ * Converts a parsed JSON value to an import entry.
+ * @param {*} value - A URL string, or a record with a `url`.
+ * @returns {string|object} The entry; anything else becomes an empty,
+ *   invalid entry so it is counted.
+ */
+function toImportEntry(value) {
+  if (typeof value === "string") {
+    return value;
+  }
+  if (!value || typeof value.url !== "string") {
+    return "";
+  }
+  const entry = {};
+  IMPORT_RECORD_FIELDS.forEach((field) => {
+    if (value[field] !== undefined && value[field] !== null) {
+      entry[field] = value[field];
+    }
+  });
+  return entry;
+}
+
+/**
+ * Reads the requests of a HAR capture, with their method, status and
+ * resource type as for network captures.
+ * @param {object} har - The parsed HAR file.
+ * @returns {object[]} The entries, one per request.
+ */
+function parseHarImport(har) {
+  return har.log.entries.map((harEntry) => {
+    const request = harEntry.request || {};
+    const response = harEntry.response || {};
+    const startedAt = Date.parse(harEntry.startedDateTime);
+    const entry = {
+      url: request.url || "",
+      request: {
+        method: request.method || "GET",
+        statusCode: response.status || null,
+        resourceType: harEntry._resourceType || "other",
+      },
+    };
+    if (!Number.isNaN(startedAt)) {
+      entry.firstSeen = startedAt;
+      entry.lastSeen = startedAt;
+    }
+    return entry;
+  });
+}
+
+/**
+ * Reads JSON text: a HAR capture, an array of URLs or records such as a
+ * JSON export, or an object with such an array in `urls`.
+ * @param {string} text - The JSON text.
+ * @returns {Array<string|object>} The entries.
+ * @throws {Error} If the text is not JSON of a known shape.
+ */
+function parseJsonImport(text) {
+  const data = JSON.parse(text);
+  if (data && data.log && Array.isArray(data.log.entries)) {
+    return parseHarImport(data);
+  }
+  const values = Array.isArray(data) ? data : data && data.urls;
+  if (!Array.isArray(values)) {
+    throw new Error("Expected a list of URLs or a HAR file");
+  }
+  return values.map(toImportEntry);
+}
+
+/**
+ * Reads JSON Lines text, one URL or record per line.
+ * @param {string} text - The JSON Lines text.
+ * @returns {Array<string|object>} The entries; lines that are not JSON are
+ *   kept as empty, invalid entries so they are counted.
+ */
+function parseJsonLinesImport(text) {
+  return text
+    .split("\n")
+    .filter((line) => line.trim() !== "")
+    .map((line) => {
+      try {
+        return toImportEntry(JSON.parse(line));
+      } catch (e) {
+        return "";
+      }
+    });
+}
+
+/**
+ * Reads plain text, one URL per line.
+ * @param {string} text - The text.
+ * @returns {string[]} The non-empty lines.
+ */
+function parseTextImport(text) {
+  return text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter((line) => line !== "");
+}
+
+/**
+ * Reads an import file, picking the parser by the file extension, or by
+ * the content for other files.
+ * @param {string} text - The file content.
+ * @param {string} filename - The file name, e.g. "recorded_urls.csv".
+ * @returns {Array<string|object>} The import entries.
+ * @throws {Error} If a JSON or HAR file can't be read.
+ */
+function parseImportFile(text, filename) {
+  const extension = filename.split(".").pop().toLowerCase();
+  if (extension === "csv") {
+    return parseCsvImport(text);
+  }
+  if (extension === "jsonl" || extension === "ndjson") {
+    return parseJsonLinesImport(text);
+  }
+  if (
+    extension === "json" ||
+    extension === "har" ||
+    (extension !== "txt" && /^\s*[[{]/.test(text))
+  ) {
+    return parseJsonImport(text);
+  }
+  return parseTextImport(text);
+}
@@ -0,0 +1,603 @@
+// matcher.js
+// Shared URL pattern matching and normalization, loaded by the background service
+// worker, the popup and the content script so all decide the same way which URLs match.
+//
+// Each pattern is one line. A line may start with a type prefix, optionally
+// followed by comma-separated options, e.g. `glob:https://*.example.com/docs/**`
+// or `domain,subdomains:example.com`. Lines without a known prefix are regexes.
+//
+// Types:
+//   regex  - A regular expression, the default.
+//   glob   - `*` matches within a path segment, `**` across segments, `?` one character.
+//            A glob with a scheme must match the whole URL; one without must
+//            match the end of the URL, query and fragment included, e.g.
+//            `glob:*.pdf` matches URLs ending in `.pdf`.
+//   domain - A host name; with the `subdomains` option (or a leading `*.`) any subdomain too.
+//   match  - Chrome match-pattern syntax, e.g. `*://*.example.com/*` or `<all_urls>`.
+// Options:
+//   case       - Match case-sensitively (patterns are case-insensitive by default).
+//   subdomains - For domain patterns, also match subdomains.
+//
+// Rewrite rules turn a found URL into the one recorded, before it is matched,
+// e.g. to unwrap redirector links. Each rule is one line, applied in order:
+//   `regex => replacement`        - Replaces the regex match, `$1` for groups.
+//   `unwrap:param`                - Takes the URL in the query parameter `param`.
+//   `unwrap:param | pattern`      - Only for URLs matching the pattern, in the syntax above.
+
+const PATTERN_TYPES = ["regex", "glob", "domain", "match"];
+const PATTERN_OPTIONS = ["case", "subdomains"];
+const PATTERN_PREFIX_REGEX = /^([a-z]+)((?:,[a-z]+)*):(.*)$/;
+const MATCH_PATTERN_REGEX = /^(\*|https?|wss?|ftp|file):\/\/([^/]*)(\/.*)$/;
+const ALL_URLS_SCHEMES = ["http:", "https:", "ws:", "wss:", "ftp:", "file:"];
+
+/**
+ * Splits a pattern line into its type, options and value.
+ * @param {string} patternString - The pattern line as entered by the user.
+ * @returns {{source: string, type: string, value: string, caseSensitive: boolean, includeSubdomains: boolean}} The parsed pattern.
+ */
+function parsePattern(patternString) {
+  const parsed = {
+    source: patternString,
+    type: "regex",
+    value: patternString,
+    caseSensitive: false,
+    includeSubdomains: false,
+  };
+  const prefixMatch = patternString.match(PATTERN_PREFIX_REGEX);
+  if (!prefixMatch || !PATTERN_TYPES.includes(prefixMatch[1])) {
+    return parsed;
+  }
+  parsed.type = prefixMatch[1];
+  parsed.value = prefixMatch[3].trim();
+  const options = prefixMatch[2].split(",").filter((o) => o !== "");
+  for (const option of options) {
+    if (!PATTERN_OPTIONS.includes(option)) {
+      throw new Error(`Unknown pattern option "${option}"`);
+    }
+  }
+  parsed.caseSensitive = options.includes("case");
+  parsed.includeSubdomains = options.includes("subdomains");
+  return parsed;
+}
+
+/**
+ * Escapes a string for literal use inside a regular expression.
+ * @param {string} text - The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Converts a glob to a regex source, anchored at the end of the URL, and at
+ * its start too if the glob has a scheme and so describes the whole URL.
+ * @param {string} glob - The glob, e.g. `https://*.example.com/docs/**` or `*.pdf`.
+ * @returns {string} The regex source.
+ */
+function globToRegexSource(glob) {
+  let source = "";
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "*" && glob[i + 1] === "*") {
+      source += ".*";
+      i++;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else {
+      source += escapeRegex(char);
+    }
+  }
+  return glob.includes("://") ? `^${source}$` : `${source}$`;
+}
+
+/**
+ * Checks if a host name is a domain or, optionally, one of its subdomains.
+ * @param {string} hostname - The host name to test.
+ * @param {string} domain - The domain, in lowercase.
+ * @param {boolean} includeSubdomains - Whether subdomains match too.
+ * @returns {boolean} True if the host name matches.
+ */
+function hostMatchesDomain(hostname, domain, includeSubdomains) {
+  return (
+    hostname === domain ||
+    (includeSubdomains && hostname.endsWith(`.${domain}`))
+  );
+}
+
+/**
+ * Builds a URL test function for a Chrome match pattern.
+ * @param {string} value - The match pattern, e.g. `*://*.example.com/*`.
+ * @param {string} flags - The regex flags for the path part.
+ * @returns {function(URL): boolean} Tests a parsed URL against the pattern.
+ */
+function compileMatchPattern(value, flags) {
+  if (value === "<all_urls>") {
+    return (urlObj) => ALL_URLS_SCHEMES.includes(urlObj.protocol);
+  }
+  const parts = value.match(MATCH_PATTERN_REGEX);
+  if (!parts) {
+    throw new Error(`Invalid match pattern "${value}"`);
+  }
+  const [, scheme, host, path] = parts;
+  if (host.includes("*") && host !== "*" && !/^\*\.[^*]+$/.test(host)) {
+    throw new Error(
+      `Invalid host "${host}": "*" is only allowed alone or as "*." at the start`,
+    );
+  }
+  const pathRegex = new RegExp(
+    `^${path.split("*").map(escapeRegex).join(".*")}$`,
+    flags,
+  );
+  const hostLower = host.toLowerCase();
+  return (urlObj) => {
+    const protocol = urlObj.protocol.slice(0, -1);
+    if (
+      scheme === "*" ? !/^(https?|wss?)$/.test(protocol) : protocol !== scheme
+    )
+      return false;
+    // The port is only compared when the pattern names one.
+    const urlHost = hostLower.includes(":") ? urlObj.host : urlObj.hostname;
+    if (hostLower.startsWith("*.")) {
+      if (!hostMatchesDomain(urlHost, hostLower.slice(2), true)) return false;
+    } else if (hostLower !== "*" && urlHost !== hostLower) {
+      return false;
+    }
+    return pathRegex.test(urlObj.pathname + urlObj.search);
+  };
+}
+
+/**
+ * Compiles a pattern line into a matcher.
+ * @param {string} patternString - The pattern line as entered by the user.
+ * @returns {{source: string, type: string, test: function(string): boolean}} The matcher.
+ * @throws {Error} If the pattern is invalid.
+ */
+function compilePattern(patternString) {
+  const parsed = parsePattern(patternString);
+  const flags = parsed.caseSensitive ? "" : "i";
+  let test;
+  if (parsed.type === "regex") {
+    const regex = new RegExp(parsed.value, flags);
+    test = (url) => regex.test(url);
+  } else if (parsed.type === "glob") {
+    const regex = new RegExp(globToRegexSource(parsed.value), flags);
+    test = (url) => regex.test(url);
+  } else {
+    let testUrl;
+    if (parsed.type === "domain") {
+      let domain = parsed.value.toLowerCase();
+      let includeSubdomains = parsed.includeSubdomains;
+      if (domain.startsWith("*.")) {
+        domain = domain.slice(2);
+        includeSubdomains = true;
+      }
+      if (domain === "" || /[/:*]/.test(domain)) {
+        throw new Error(`Invalid domain "${parsed.value}"`);
+      }
+      testUrl = (urlObj) =>
+        hostMatchesDomain(urlObj.hostname, domain, includeSubdomains);
+    } else {
+      testUrl = compileMatchPattern(parsed.value, flags);
+    }
+    test = (url) => {
+      try {
+        return testUrl(new URL(url));
+      } catch (e) {
+        return false;
+      }
+    };
+  }
+  return { source: patternString, type: parsed.type, test: test };
+}
+
+/**
+ * Compiles a list of pattern lines once, collecting an error for each
+ * invalid line instead of dropping it silently.
+ * @param {string[]} patterns - An array of pattern lines.
+ * @returns {{matchers: object[], errors: {index: number, pattern: string, message: string}[]}}
+ *   The matchers of the valid patterns, and the errors with the index of the offending pattern.
+ */
+function compilePatterns(patterns) {
+  const matchers = [];
+  const errors = [];
+  (patterns || []).forEach((patternString, index) => {
+    try {
+      matchers.push(compilePattern(patternString));
+    } catch (e) {
+      errors.push({ index: index, pattern: patternString, message: e.message });
+    }
+  });
+  return { matchers, errors };
+}
+
+/**
+ * Finds the first compiled pattern a given URL matches.
+ * @param {string} url - The URL to test.
+ * @param {object[]} matchers - Matchers as returned by compilePatterns.
+ * @returns {string|null} The matching pattern line, or null if none matches.
+ */
+function findMatchingPattern(url, matchers) {
+  if (!url || !matchers) {
+    return null;
+  }
+  const matcher = matchers.find((m) => m.test(url));
+  return matcher ? matcher.source : null;
+}
+
+/**
+ * Checks if a given URL matches any of the compiled patterns.
+ * @param {string} url - The URL to test.
+ * @param {object[]} matchers - Matchers as returned by compilePatterns.
+ * @returns {boolean} True if the URL matches any pattern, false otherwise.
+ */
+function matchesAnyPattern(url, matchers) {
+  return findMatchingPattern(url, matchers) !== null;
+}
+
+/**
+ * Compiles a site list, as edited in the popup, into matchers. Each entry is
+ * a host name, with a leading `*.` to include its subdomains, and is matched
+ * like a `domain:` pattern.
+ * @param {string[]} sites - The site list entries.
+ * @returns {{matchers: object[], errors: {index: number, pattern: string, message: string}[]}}
+ *   As returned by compilePatterns.
+ */
+function compileSitePatterns(sites) {
+  return compilePatterns((sites || []).map((site) => `domain:${site}`));
+}
+
+/**
+ * Checks if recording is enabled on a page under the site lists: pages on a
+ * denied site never are, and with any allowed sites only pages on those are.
+ * @param {string} pageUrl - The URL of the page.
+ * @param {object[]} allowMatchers - Matchers from compileSitePatterns for the allowlist.
+ * @param {object[]} denyMatchers - Matchers from compileSitePatterns for the denylist.
+ * @returns {boolean} True if URLs may be recorded on the page.
+ */
+function isSiteEnabled(pageUrl, allowMatchers, denyMatchers) {
+  if (matchesAnyPattern(pageUrl, denyMatchers)) {
+    return false;
+  }
+  return (
+    allowMatchers.length === 0 || matchesAnyPattern(pageUrl, allowMatchers)
+  );
+}
+
+/**
+ * Converts a site list entry into a Chrome match pattern for content script
+ * registration, e.g. `*.example.com` into `*://*.example.com/*`.
+ * @param {string} site - The site list entry.
+ * @returns {string} The match pattern.
+ */
+function siteToMatchPattern(site) {
+  return `*://${site.toLowerCase()}/*`;
+}
+
+/**
+ * Compiles the patterns and ignored parameters of the projects URLs are
+ * recorded into, i.e. the active ones, once for all URLs.
+ * @param {object[]} projects - The projects as stored, each with its id, isActive,
+ *   targetPatterns, excludePatterns, isUrlSimplificationEnabled and ignoredUrlParams.
+ * @param {function(string[], string): object[]} [compile] - Compiles the target or
+ *   exclude pattern lines (the second argument) of a project into matchers.
+ * @param {function(object): object[]} [compileParams] - Compiles the ignored
+ *   parameters of a project, or returns them compiled already.
+ * @returns {{project: object, targetMatchers: object[], excludeMatchers: object[], paramMatchers: object[]}[]}
+ *   The active projects with their matchers.
+ */
+function compileActiveProjects(
+  projects,
+  compile = (patterns) => compilePatterns(patterns).matchers,
+  compileParams = (project) =>
+    compileParamNamePatterns(project.ignoredUrlParams).matchers,
+) {
+  return (projects || [])
+    .filter((project) => project.isActive)
+    .map((project) => ({
+      project: project,
+      targetMatchers: compile(project.targetPatterns || [], "target"),
+      excludeMatchers: compile(project.excludePatterns || [], "exclude"),
+      paramMatchers: compileParams(project),
+    }));
+}
+
+/**
+ * Finds the projects a URL is recorded into: those whose target patterns it
+ * matches and whose exclude patterns it doesn't.
+ * @param {string} url - The URL to test.
+ * @param {object[]} compiledProjects - As returned by compileActiveProjects.
+ * @returns {{project: object, pattern: string, paramMatchers: object[]}[]} The projects,
+ *   each with the target pattern matched and its compiled ignored parameters.
+ */
+function findProjectMatches(url, compiledProjects) {
+  const matches = [];
+  for (const compiled of compiledProjects) {
+    const pattern = findMatchingPattern(url, compiled.targetMatchers);
+    if (pattern !== null && !matchesAnyPattern(url, compiled.excludeMatchers)) {
+      matches.push({
+        project: compiled.project,
+        pattern: pattern,
+        paramMatchers: compiled.paramMatchers,
+      });
+    }
+  }
+  return matches;
+}
+
+/**
+ * Returns the key a URL is deduplicated by within a project: the URL itself,
+ * or its normalized form when the project simplifies URLs.
+ * @param {string} url - The URL.
+ * @param {object} project - The project, as stored.
+ * @param {object[]} paramMatchers - The project's ignoredUrlParams, compiled
+ *   once with compileParamNamePatterns.
+ * @returns {string} The deduplication key.
+ */
+function getProjectDeduplicationKey(url, project, paramMatchers) {
+  return project.isUrlSimplificationEnabled
+    ? normalizeUrl(url, paramMatchers, project.normalizationOptions)
+    : url;
+}
+
+// URL simplification options, each off unless set, with their labels; see normalizeUrl.
+const URL_NORMALIZATION_OPTIONS = {
+  keepListedParams: "Keep only the listed parameters",
+  stripFragment: "Remove the #fragment",
+  lowercaseHost: "Lowercase the host",
+  removeDefaultPort: "Remove default ports (:80, :443)",
+  removeWww: "Remove a leading www.",
+  removeTrailingSlash: "Remove trailing slashes",
+  removeIndexFile: "Remove index files (index.html, …)",
+  sortParams: "Sort query parameters",
+  decodePercentEncoding: "Decode redundant percent-encoding",
+};
+// Directory index file names removed by the removeIndexFile option
+const INDEX_FILE_REGEX = /\/(?:index|default)\.(?:html?|php|aspx?|jsp)$/i;
+
+/**
+ * Compiles query parameter names as listed in the simplification settings:
+ * exact names, names with `*` wildcards (e.g. `utm_*`) or `/regex/`.
+ * @param {string[]} names - The listed names.
+ * @returns {{matchers: {source: string, test: function(string): boolean}[], errors: {index: number, pattern: string, message: string}[]}}
+ *   Matchers for the valid names, and an error for each invalid regex.
+ */
+function compileParamNamePatterns(names) {
+  const matchers = [];
+  const errors = [];
+  (names || []).forEach((name, index) => {
+    const regexMatch = name.match(/^\/(.+)\/$/);
+    let regex = null;
+    try {
+      if (regexMatch) {
+        regex = new RegExp(regexMatch[1]);
+      } else if (name.includes("*")) {
+        regex = new RegExp(`^${name.split("*").map(escapeRegex).join(".*")}$`);
+      }
+    } catch (e) {
+      errors.push({ index: index, pattern: name, message: e.message });
+      return;
+    }
+    matchers.push({
+      source: name,
+      test: regex
+        ? (paramName) => regex.test(paramName)
+        : (paramName) => paramName === name,
+    });
+  });
+  return { matchers, errors };
+}
+
+/**
+ * Decodes percent-encoded characters that never need encoding (letters,
+ * digits, `-`, `.`, `_` and `~`), and uppercases the hex digits of the rest,
+ * so equivalent encodings of a URL part compare equal.
+ * @param {string} text - A path or query string.
+ * @returns {string} The text with redundant percent-encoding decoded.
+ */
+function decodeUnreservedPercentEncoding(text) {
+  return text.replace(/%([0-9a-f]{2})/gi, (encoded, hex) => {
+    const char = String.fromCharCode(parseInt(hex, 16));
+    return /[A-Za-z0-9\-._~]/.test(char) ? char : encoded.toUpperCase();
+  });
+}
+
+// The host and port of a URL as written, e.g. `Example.com` and `443` in
+// `https://Example.com:443/`
+const URL_AUTHORITY_REGEX =
+  /^[a-z][a-z0-9+.-]*:\/\/(?:[^@/?#]*@)?([^/?#:]*)(?::(\d+))?/i;
+
+/**
+ * Formats a parsed URL with the host and port as they were written, which
+ * parsing lowercases and drops if it is the default, unless the
+ * lowercaseHost or removeDefaultPort options are enabled.
+ * @param {URL} urlObj - The parsed, normalized URL.
+ * @param {string} url - The URL as written.
+ * @param {object} options - The enabled URL_NORMALIZATION_OPTIONS.
+ * @returns {string} The URL.
+ */
+function formatNormalizedUrl(urlObj, url, options) {
+  const authority = url.match(URL_AUTHORITY_REGEX);
+  if (!authority || urlObj.hostname === "") {
+    return urlObj.toString();
+  }
+  let host = urlObj.hostname;
+  const writtenHost = options.removeWww
+    ? authority[1].replace(/^www\./i, "")
+    : authority[1];
+  // Only the case is kept; other host changes, e.g. punycode, are not undone.
+  if (!options.lowercaseHost && writtenHost.toLowerCase() === host) {
+    host = writtenHost;
+  }
+  let port = urlObj.port;
+  if (!options.removeDefaultPort && port === "" && authority[2]) {
+    port = authority[2];
+  }
+  const userInfo = urlObj.username
+    ? `${urlObj.username}${urlObj.password ? `:${urlObj.password}` : ""}@`
+    : "";
+  return `${urlObj.protocol}//${userInfo}${host}${port ? `:${port}` : ""}${urlObj.pathname}${urlObj.search}${urlObj.hash}`;
+}
+
+/**
+ * Normalizes a URL by removing query parameters and applying the enabled
+ * simplification options. A URL with neither is returned as it is.
+ * @param {string} url - The original URL string.
+ * @param {object[]} paramMatchers - The query parameters to remove, or to keep
+ *   with the keepListedParams option, as compiled by compileParamNamePatterns.
+ * @param {object} [options] - The enabled URL_NORMALIZATION_OPTIONS, e.g. `{stripFragment: true}`.
+ * @returns {string} The normalized URL.
+ */
+function normalizeUrl(url, paramMatchers, options = {}) {
+  const matchers = paramMatchers || [];
+  const enabledOptions = options || {};
+  const hasOptions = Object.keys(URL_NORMALIZATION_OPTIONS).some(
+    (name) => enabledOptions[name],
+  );
+  if (matchers.length === 0 && !hasOptions) {
+    return url;
+  }
+  try {
+    const urlObj = new URL(url);
+    if (enabledOptions.removeWww) {
+      urlObj.hostname = urlObj.hostname.replace(/^www\./, "");
+    }
+    if (enabledOptions.removeIndexFile) {
+      urlObj.pathname = urlObj.pathname.replace(INDEX_FILE_REGEX, "/");
+    }
+    if (enabledOptions.removeTrailingSlash) {
+      urlObj.pathname = urlObj.pathname.replace(/(.)\/+$/, "$1");
+    }
+    if (enabledOptions.stripFragment) {
+      urlObj.hash = "";
+    }
+    if (
+      matchers.length > 0 ||
+      enabledOptions.keepListedParams ||
+      enabledOptions.sortParams
+    ) {
+      const searchParams = new URLSearchParams(urlObj.search);
+      for (const name of new Set(searchParams.keys())) {
+        const isListed = matchers.some((matcher) => matcher.test(name));
+        if (isListed !== Boolean(enabledOptions.keepListedParams)) {
+          searchParams.delete(name);
+        }
+      }
+      if (enabledOptions.sortParams) {
+        searchParams.sort();
+      }
+      urlObj.search = searchParams.toString();
+    }
+    if (enabledOptions.decodePercentEncoding) {
+      urlObj.pathname = decodeUnreservedPercentEncoding(urlObj.pathname);
+      urlObj.search = decodeUnreservedPercentEncoding(urlObj.search);
+    }
+    return formatNormalizedUrl(urlObj, url, enabledOptions);
+  } catch (e) {
+    // Not a parseable URL, so there is nothing to normalize.
+    return url;
+  }
+}
+
+const REWRITE_REPLACE_SEPARATOR = " => ";
+const REWRITE_UNWRAP_REGEX = /^unwrap:([^\s|]+)(?:\s+\|\s+(.+))?$/;
+
+// Built-in rules for common redirectors and the Google AMP cache
+const DEFAULT_REWRITE_RULES = [
+  "unwrap:q | ^https?://(?:www\\.)?google\\.[a-z.]+/url\\?",
+  "unwrap:url | ^https?://(?:www\\.)?google\\.[a-z.]+/url\\?",
+  "unwrap:u | domain:l.facebook.com",
+  "unwrap:u | domain:l.instagram.com",
+  "unwrap:z | domain:t.umblr.com",
+  "^https?://[^/]+\\.cdn\\.ampproject\\.org/[a-z]/s/(.*)$ => https://$1",
+  "^https?://[^/]+\\.cdn\\.ampproject\\.org/[a-z]/(?!s/)(.*)$ => http://$1",
+];
+
+/**
+ * Compiles one rewrite rule line.
+ * @param {string} line - The rule line, see the syntax at the top.
+ * @returns {{source: string, rewrite: function(string): (string|null)}}
+ *   The rule; `rewrite` returns the rewritten URL, or null if the rule doesn't apply.
+ * @throws {Error} If the line is malformed or its regex or pattern is invalid.
+ */
+function compileRewriteRule(line) {
+  const source = line.trim();
+  const unwrapMatch = source.match(REWRITE_UNWRAP_REGEX);
+  if (unwrapMatch) {
+    const [, param, pattern] = unwrapMatch;
+    const matcher = pattern ? compilePattern(pattern) : null;
+    return {
+      source: source,
+      rewrite: (url) => {
+        if (matcher && !matcher.test(url)) return null;
+        try {
+          const value = new URL(url).searchParams.get(param);
+          return value && /^https?:\/\//i.test(value) ? value : null;
+        } catch (e) {
+          return null;
+        }
+      },
+    };
+  }
+  const separatorIndex = source.indexOf(REWRITE_REPLACE_SEPARATOR);
+  if (separatorIndex === -1) {
+    throw new Error(
+      'Expected "regex => replacement", "unwrap:param" or "unwrap:param | pattern"',
+    );
+  }
+  const regex = new RegExp(source.slice(0, separatorIndex), "i");
+  const replacement = source
+    .slice(separatorIndex + REWRITE_REPLACE_SEPARATOR.length)
+    .trim();
+  return {
+    source: source,
+    rewrite: (url) =>
+      regex.test(url) ? url.replace(regex, replacement) : null,
+  };
+}
+
+/**
+ * Compiles rewrite rule lines, collecting an error for each invalid line
+ * like compilePatterns does.
+ * @param {string[]} lines - The rule lines.
+ * @returns {{rules: object[], errors: {index: number, pattern: string, message: string}[]}}
+ *   The valid rules in order, and the errors with the index of the offending line.
+ */
+function compileRewriteRules(lines) {
+  const rules = [];
+  const errors = [];
+  (lines || []).forEach((line, index) => {
+    try {
+      rules.push(compileRewriteRule(line));
+    } catch (e) {
+      errors.push({ index: index, pattern: line, message: e.message });
+    }
+  });
+  return { rules, errors };
+}
+
+/**
+ * Applies the rewrite rules to a URL in order, each to the result of the
+ * previous ones. A rewrite that doesn't give an http(s) URL is skipped.
+ * @param {string} url - The found URL.
+ * @param {object[]} rules - Rules as returned by compileRewriteRules.
+ * @returns {string} The URL to record, the given one if no rule applies.
+ */
+function rewriteUrl(url, rules) {
+  let rewrittenUrl = url;
+  for (const rule of rules || []) {
+    const result = rule.rewrite(rewrittenUrl);
+    if (result === null) continue;
+    try {
+      const urlObj = new URL(result);
+      if (urlObj.protocol === "http:" || urlObj.protocol === "https:") {
+        rewrittenUrl = urlObj.toString();
+      }
+    } catch (e) {
+      // Not a URL; the rule is skipped.
+    }
+  }
+  return rewrittenUrl;
+}
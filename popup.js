@@ -4,286 +4,1163 @@
 document.addEventListener("DOMContentLoaded", () => {
   const patternInput = document.getElementById("patternInput");
   const setPatternsButton = document.getElementById("setPatternsButton");
+  const excludeInput = document.getElementById("excludeInput");
+  const setExcludesButton = document.getElementById("setExcludesButton");
   const clearUrlsButton = document.getElementById("clearUrlsButton");
   const downloadUrlsButton = document.getElementById("downloadUrlsButton");
   const copyUrlsButton = document.getElementById("copyUrlsButton");
+  const exportControls = {
+    formatSelect: document.getElementById("exportFormatSelect"),
+    templateInput: document.getElementById("exportTemplateInput"),
+    shownOnlyToggle: document.getElementById("exportShownOnlyToggle"),
+  };
   const urlList = document.getElementById("urlList");
   const currentPatternsDisplay = document.getElementById(
     "currentPatternsDisplay",
   );
   const totalUrlsCount = document.getElementById("totalUrlsCount");
-  const messageBox = document.getElementById("messageBox");
   const debugModeToggle = document.getElementById("debugModeToggle");
+  const openDashboardButton = document.getElementById("openDashboardButton");
+  const openSidePanelButton = document.getElementById("openSidePanelButton");
+
+  // UI elements for searching, sorting and grouping the URL list
+  const searchInput = document.getElementById("searchInput");
+  const searchModeSelect = document.getElementById("searchModeSelect");
+  const sortSelect = document.getElementById("sortSelect");
+  const groupSelect = document.getElementById("groupSelect");
+
+  // UI elements for deleting and pinning individual URLs
+  const deleteSelectedButton = document.getElementById("deleteSelectedButton");
+  const pinSelectedButton = document.getElementById("pinSelectedButton");
+  const unpinSelectedButton = document.getElementById("unpinSelectedButton");
+  const deleteMatchingButton = document.getElementById("deleteMatchingButton");
+  const undoButton = document.getElementById("undoButton");
+
+  // Pattern textareas with their line gutter, error list and line validator
+  const patternEditor = {
+    textarea: patternInput,
+    gutter: document.getElementById("patternGutter"),
+    errorList: document.getElementById("patternErrors"),
+    validate: (lines) => compilePatterns(lines).errors,
+  };
+  const excludeEditor = {
+    textarea: excludeInput,
+    gutter: document.getElementById("excludeGutter"),
+    errorList: document.getElementById("excludeErrors"),
+    validate: (lines) => compilePatterns(lines).errors,
+  };
+
+  // UI elements for the extraction rules, edited like the patterns
+  const rulesEditor = {
+    textarea: document.getElementById("rulesInput"),
+    gutter: document.getElementById("rulesGutter"),
+    errorList: document.getElementById("rulesErrors"),
+    validate: (lines) => parseExtractionRules(lines).errors,
+  };
+  const dataAttributeScanToggle = document.getElementById(
+    "dataAttributeScanToggle",
+  );
+  const textScanLimitInput = document.getElementById("textScanLimitInput");
+  const setRulesButton = document.getElementById("setRulesButton");
+  const resetRulesButton = document.getElementById("resetRulesButton");
+
+  // UI elements for the rewrite rules, edited like the patterns
+  const rewriteRulesEditor = {
+    textarea: document.getElementById("rewriteRulesInput"),
+    gutter: document.getElementById("rewriteRulesGutter"),
+    errorList: document.getElementById("rewriteRulesErrors"),
+    validate: (lines) => compileRewriteRules(lines).errors,
+  };
+  const setRewriteRulesButton = document.getElementById(
+    "setRewriteRulesButton",
+  );
+  const builtInRewriteRulesButton = document.getElementById(
+    "builtInRewriteRulesButton",
+  );
+
+  // UI elements for the project switcher
+  const projectSelect = document.getElementById("projectSelect");
+  const projectActiveToggle = document.getElementById("projectActiveToggle");
+  const projectNameInput = document.getElementById("projectNameInput");
+  const createProjectButton = document.getElementById("createProjectButton");
+  const renameProjectButton = document.getElementById("renameProjectButton");
+  const deleteProjectButton = document.getElementById("deleteProjectButton");
+  let currentProjectName = ""; // Name of the project the popup shows
+
+  // UI elements for pausing and the per-site lists, edited like the patterns
+  const pauseToggle = document.getElementById("pauseToggle");
+  const allowlistEditor = {
+    textarea: document.getElementById("allowlistInput"),
+    gutter: document.getElementById("allowlistGutter"),
+    errorList: document.getElementById("allowlistErrors"),
+    validate: (lines) => compileSitePatterns(lines).errors,
+  };
+  const denylistEditor = {
+    textarea: document.getElementById("denylistInput"),
+    gutter: document.getElementById("denylistGutter"),
+    errorList: document.getElementById("denylistErrors"),
+    validate: (lines) => compileSitePatterns(lines).errors,
+  };
+  const setAllowlistButton = document.getElementById("setAllowlistButton");
+  const setDenylistButton = document.getElementById("setDenylistButton");
+
+  let listLoadId = 0; // Identifies the latest list load, so stale pages are dropped
+  let loadedRecords = []; // Records loaded from the background
+  let totalRecordCount = 0; // Records stored in the background
+  let viewRecords = []; // Records in the list view, after the search
+  let listRows = []; // Rows of the list view: group headers and records
+  const selectedKeys = new Set(); // Keys of the records selected in the list
+  let lastSelectedRow = null; // Index in listRows of the last (de)selected record, for shift-click
+  const collapsedGroups = new Set(); // Keys of the groups shown collapsed
+  const ROW_HEIGHT = 44; // Pixel height of every list row, see .url-list li
+  const ROW_OVERSCAN = 8; // Rows rendered above and below the visible ones
+  const SEARCH_DELAY = 150; // milliseconds to wait for typing to stop before searching
+  let searchTimer; // Timer for debouncing the search
+  let isRowRenderScheduled = false; // Whether a frame is pending to render rows
 
   // New UI elements for URL simplification
   const simplifyUrlsToggle = document.getElementById("simplifyUrlsToggle");
   const ignoredParamsInput = document.getElementById("ignoredParamsInput");
+  const normalizationOptions = document.getElementById("normalizationOptions");
+  const storeNormalizedUrlToggle = document.getElementById(
+    "storeNormalizedUrlToggle",
+  );
+  const normalizationPreviewInput = document.getElementById(
+    "normalizationPreviewInput",
+  );
+  const normalizationPreview = document.getElementById("normalizationPreview");
+
+  // UI elements for network request capture
+  const networkCaptureToggle = document.getElementById("networkCaptureToggle");
+  const resourceTypeCheckboxes = document.querySelectorAll(
+    'input[name="resourceType"]',
+  );
+
+  // UI elements for the pattern tester
+  const patternTester = document.getElementById("patternTester");
+  const testerInput = document.getElementById("testerInput");
+  const testerResults = document.getElementById("testerResults");
+  const testerCounts = document.getElementById("testerCounts");
+  const PREVIEW_DELAY = 400; // milliseconds to wait for typing to stop before previewing
+  let previewTimer; // Timer for debouncing the recorded URL preview
+
+  [
+    patternEditor,
+    excludeEditor,
+    rulesEditor,
+    rewriteRulesEditor,
+    allowlistEditor,
+    denylistEditor,
+  ].forEach(initPatternEditor);
+  initExportControls(exportControls);
 
   /**
-   * Displays a message in the message box.
-   * @param {string} message - The message to display.
-   * @param {string} type - 'success', 'error', or 'info' for styling.
+   * Filters records by the search box. An invalid regex filters nothing and
+   * marks the search box.
+   * @param {object[]} records - The records to filter.
+   * @returns {object[]} The records matching the search.
    */
-  function showMessage(message, type = "info") {
-    messageBox.textContent = message;
-    messageBox.className = "message-box";
-    if (type === "success") {
-      messageBox.classList.add(
-        "bg-green-100",
-        "text-green-800",
-        "border-green-200",
-      );
-    } else if (type === "error") {
-      messageBox.classList.add("bg-red-100", "text-red-800", "border-red-200");
-    } else {
-      messageBox.classList.add(
-        "bg-blue-100",
-        "text-blue-800",
-        "border-blue-200",
+  function searchRecords(records) {
+    const { records: matches, error } = filterRecordsBySearch(
+      records,
+      searchInput.value.trim(),
+      searchModeSelect.value,
+    );
+    searchInput.classList.toggle("search-error", error !== null);
+    searchInput.title = error || "";
+    return matches;
+  }
+
+  /**
+   * Sorts records by the selected order, without changing the given array.
+   * @param {object[]} records - The records, oldest first as loaded.
+   * @returns {object[]} The sorted records.
+   */
+  function sortRecords(records) {
+    const sorted = records.slice();
+    const byUrl = (a, b) => a.url.localeCompare(b.url);
+    if (sortSelect.value === "newest") {
+      sorted.reverse();
+    } else if (sortSelect.value === "url") {
+      sorted.sort(byUrl);
+    } else if (sortSelect.value === "domain") {
+      sorted.sort(
+        (a, b) => (a.domain || "").localeCompare(b.domain || "") || byUrl(a, b),
       );
     }
-    messageBox.style.display = "block";
-    setTimeout(() => {
-      messageBox.style.display = "none";
-    }, 3000);
+    return sorted;
   }
 
   /**
-   * Filters the given URLs based on the provided patterns.
-   * @param {string[]} urls - Array of all recorded URLs.
-   * @param {string[]} patterns - Array of regex pattern strings.
-   * @returns {string[]} Filtered array of URLs that match at least one pattern.
+   * Gets the key of the group a record is shown in.
+   * @param {object} record - A recorded URL record.
+   * @returns {string} The domain or the pattern, depending on the grouping.
    */
-  function filterUrlsByPatterns(urls, patterns) {
-    if (!urls || urls.length === 0 || !patterns || patterns.length === 0) {
-      return [];
+  function getGroupKey(record) {
+    if (groupSelect.value === "pattern") {
+      return record.pattern || "(no pattern)";
     }
+    return record.domain || "(no domain)";
+  }
 
-    const filteredUrls = new Set();
-    for (const url of urls) {
-      for (const patternString of patterns) {
-        try {
-          const regex = new RegExp(patternString, "i");
-          if (regex.test(url)) {
-            filteredUrls.add(url);
-            break;
+  /**
+   * Rebuilds the rows of the list view from the loaded records with the
+   * current search, sort order and grouping, and renders the visible ones.
+   */
+  function updateListView() {
+    const records = sortRecords(searchRecords(loadedRecords));
+    viewRecords = records;
+    lastSelectedRow = null;
+    if (groupSelect.value === "none") {
+      listRows = records.map((record) => ({ record: record }));
+    } else {
+      const groups = new Map();
+      records.forEach((record) => {
+        const key = getGroupKey(record);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(record);
+      });
+      listRows = [];
+      Array.from(groups.keys())
+        .sort((a, b) => a.localeCompare(b))
+        .forEach((key) => {
+          const groupRecords = groups.get(key);
+          listRows.push({ group: key, count: groupRecords.length });
+          if (!collapsedGroups.has(key)) {
+            groupRecords.forEach((record) => listRows.push({ record: record }));
           }
-        } catch (e) {
-          console.warn(
-            `Invalid regex pattern ignored during filtering: ${patternString}`,
-            e,
-          );
-        }
+        });
+    }
+
+    totalUrlsCount.textContent =
+      records.length === totalRecordCount
+        ? `${totalRecordCount}`
+        : `${records.length} of ${totalRecordCount}`;
+    updateSelectionButtons();
+    renderVisibleRows();
+  }
+
+  /**
+   * Shows how many records are selected on the buttons acting on them.
+   */
+  function updateSelectionButtons() {
+    const count = selectedKeys.size;
+    deleteSelectedButton.textContent = `Delete selected (${count})`;
+    [deleteSelectedButton, pinSelectedButton, unpinSelectedButton].forEach(
+      (button) => {
+        button.disabled = count === 0;
+      },
+    );
+  }
+
+  /**
+   * Selects or deselects the record of a list row. With shift held, every
+   * record between the last (de)selected row and this one follows suit.
+   * @param {number} rowIndex - The index of the row in listRows.
+   * @param {boolean} isSelected - Whether to select or deselect.
+   * @param {boolean} isRange - Whether shift was held.
+   */
+  function selectRow(rowIndex, isSelected, isRange) {
+    const from =
+      isRange && lastSelectedRow !== null
+        ? Math.min(lastSelectedRow, rowIndex)
+        : rowIndex;
+    const to =
+      isRange && lastSelectedRow !== null
+        ? Math.max(lastSelectedRow, rowIndex)
+        : rowIndex;
+    for (let i = from; i <= to; i++) {
+      const row = listRows[i];
+      if (!row.record) continue;
+      if (isSelected) {
+        selectedKeys.add(row.record.key);
+      } else {
+        selectedKeys.delete(row.record.key);
       }
     }
-    return Array.from(filteredUrls);
+    lastSelectedRow = rowIndex;
+    updateSelectionButtons();
+    renderVisibleRows();
   }
 
   /**
-   * Renders the list of URLs in the popup.
-   * @param {string[]} urls - An array of URLs to display.
+   * Renders the rows of the list view that are scrolled into view, plus a
+   * few around them, so long lists stay fast. All rows have the same height,
+   * and a sizer row gives the list its full scroll height.
    */
-  function renderUrlList(urls) {
+  function renderVisibleRows() {
     urlList.innerHTML = "";
-    if (urls && urls.length > 0) {
-      urls.forEach((url) => {
-        const li = document.createElement("li");
-        const a = document.createElement("a");
-        a.href = url;
-        a.textContent = url;
-        a.target = "_blank";
-        a.classList.add("text-blue-600", "hover:underline");
-        li.appendChild(a);
-        urlList.appendChild(li);
-      });
-    } else {
+    if (listRows.length === 0) {
       const li = document.createElement("li");
-      li.textContent = "No URLs recorded yet for these patterns.";
-      li.classList.add("text-gray-500");
+      li.textContent =
+        loadedRecords.length > 0
+          ? "No URLs match the search."
+          : "No URLs recorded yet.";
+      li.classList.add("text-gray-500", "empty-placeholder");
+      urlList.appendChild(li);
+      return;
+    }
+
+    const sizer = document.createElement("li");
+    sizer.classList.add("list-sizer");
+    sizer.style.height = `${listRows.length * ROW_HEIGHT}px`;
+    urlList.appendChild(sizer);
+
+    const first = Math.max(
+      0,
+      Math.floor(urlList.scrollTop / ROW_HEIGHT) - ROW_OVERSCAN,
+    );
+    const last = Math.min(
+      listRows.length,
+      Math.ceil((urlList.scrollTop + urlList.clientHeight) / ROW_HEIGHT) +
+        ROW_OVERSCAN,
+    );
+    for (let i = first; i < last; i++) {
+      const row = listRows[i];
+      const li = row.record
+        ? buildRecordRow(row.record, i)
+        : buildGroupRow(row.group, row.count);
+      li.style.top = `${i * ROW_HEIGHT}px`;
       urlList.appendChild(li);
     }
   }
 
   /**
-   * Fetches the current settings and recorded URLs from the background script
-   * and updates the popup UI.
+   * Builds the header row of a group, which collapses or expands the group
+   * when clicked.
+   * @param {string} key - The group key.
+   * @param {number} count - The number of records in the group.
+   * @returns {HTMLLIElement} The row.
    */
-  function updatePopupUI() {
-    chrome.runtime.sendMessage({ action: "getRecordedUrls" }, (response) => {
-      if (response) {
-        const currentPatterns = response.targetPatterns || [];
-        const allRecordedUrls = response.urls || [];
-        const isSimplificationEnabled =
-          response.isUrlSimplificationEnabled || false;
-        const ignoredParams = response.ignoredUrlParams || [];
-
-        if (currentPatterns.length > 0) {
-          currentPatternsDisplay.textContent = `${currentPatterns.length} patterns`;
-          patternInput.value = currentPatterns.join("\n");
+  function buildGroupRow(key, count) {
+    const li = document.createElement("li");
+    li.classList.add("group-header");
+    li.textContent = `${collapsedGroups.has(key) ? "▸" : "▾"} ${key} (${count})`;
+    li.title = key;
+    li.addEventListener("click", () => {
+      if (collapsedGroups.has(key)) {
+        collapsedGroups.delete(key);
+      } else {
+        collapsedGroups.add(key);
+      }
+      updateListView();
+    });
+    return li;
+  }
+
+  /**
+   * Builds the row of a recorded URL, with its summary and a tooltip
+   * listing everything known about it.
+   * @param {object} record - A recorded URL record.
+   * @param {number} rowIndex - The index of the row in listRows.
+   * @returns {HTMLLIElement} The row.
+   */
+  function buildRecordRow(record, rowIndex) {
+    const li = document.createElement("li");
+    li.classList.add("record-row");
+
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = selectedKeys.has(record.key);
+    checkbox.title = "Select (shift-click to select a range)";
+    checkbox.addEventListener("click", (event) =>
+      selectRow(rowIndex, checkbox.checked, event.shiftKey),
+    );
+    li.appendChild(checkbox);
+
+    const pinButton = document.createElement("button");
+    pinButton.textContent = record.pinned ? "★" : "☆";
+    pinButton.title = record.pinned
+      ? "Unpin"
+      : "Pin, so the URL survives Clear All";
+    pinButton.classList.add("row-icon");
+    if (record.pinned) pinButton.classList.add("pinned");
+    pinButton.addEventListener("click", () =>
+      setRecordsPinned([record.key], !record.pinned),
+    );
+    li.appendChild(pinButton);
+
+    const content = document.createElement("div");
+    content.classList.add("row-content");
+    li.appendChild(content);
+
+    const deleteButton = document.createElement("button");
+    deleteButton.textContent = "✕";
+    deleteButton.title = "Delete";
+    deleteButton.classList.add("row-icon");
+    deleteButton.addEventListener("click", () => deleteRecords([record.key]));
+    li.appendChild(deleteButton);
+
+    const a = document.createElement("a");
+    a.href = record.url;
+    a.textContent = record.url;
+    a.title = record.url;
+    a.target = "_blank";
+    a.classList.add("text-blue-600", "hover:underline");
+    content.appendChild(a);
+
+    const meta = document.createElement("div");
+    meta.classList.add("url-meta");
+    const summary = document.createElement("span");
+    summary.textContent = describeRecord(record);
+    meta.appendChild(summary);
+    const details = [
+      `Source: ${record.source || "unknown"}`,
+      `Pattern: ${record.pattern || "unknown"}`,
+      `Page: ${record.pageUrl || "unknown"}`,
+      `First seen: ${formatTimestamp(record.firstSeen)}`,
+      `Last seen: ${formatTimestamp(record.lastSeen)}`,
+    ];
+    if (record.originalUrl) {
+      details.push(`Found as: ${record.originalUrl}`);
+    }
+    if (record.role) {
+      details.push(`Role: ${record.role}`);
+    }
+    if (record.descriptor) {
+      details.push(`Descriptor: ${record.descriptor}`);
+    }
+    if (record.request) {
+      details.push(
+        `Request: ${record.request.method} ${record.request.resourceType} (status ${record.request.statusCode === null ? "failed" : record.request.statusCode}, tab ${record.request.tabId})`,
+      );
+    }
+    if (record.navigation) {
+      details.push(
+        `Navigation: ${record.navigation.transitionType || "failed"} in ${record.navigation.frameId === 0 ? "top frame" : `frame ${record.navigation.frameId}`}`,
+        `Redirect chain: ${record.navigation.redirectChain.length - 1} hops`,
+      );
+    }
+    meta.title = details.join("\n");
+    if (record.navigation && record.navigation.redirectChain.length > 1) {
+      const exportChainButton = document.createElement("button");
+      exportChainButton.textContent = "Export redirect chain";
+      exportChainButton.classList.add("row-action");
+      exportChainButton.addEventListener("click", () =>
+        exportRedirectChain(record.url),
+      );
+      meta.appendChild(exportChainButton);
+    }
+    content.appendChild(meta);
+    return li;
+  }
+
+  /**
+   * Deletes recorded URLs, which the undo button can bring back.
+   * @param {string[]} keys - The keys of the records to delete.
+   */
+  function deleteRecords(keys) {
+    chrome.runtime.sendMessage(
+      { action: "deleteRecordedUrls", keys: keys },
+      (response) => {
+        if (response && response.success) {
+          const deletedKeys = new Set(keys);
+          loadedRecords = loadedRecords.filter(
+            (record) => !deletedKeys.has(record.key),
+          );
+          keys.forEach((key) => selectedKeys.delete(key));
+          totalRecordCount -= response.deleted;
+          updateListView();
+          showMessage(
+            `Deleted ${response.deleted} URLs. Use Undo to restore them.`,
+            "success",
+          );
         } else {
-          currentPatternsDisplay.textContent = "None";
-          patternInput.value = "";
+          showMessage("Failed to delete URLs.", "error");
         }
+      },
+    );
+  }
 
-        totalUrlsCount.textContent = allRecordedUrls.length;
+  /**
+   * Pins or unpins recorded URLs.
+   * @param {string[]} keys - The keys of the records.
+   * @param {boolean} isPinned - Whether to pin or unpin them.
+   */
+  function setRecordsPinned(keys, isPinned) {
+    chrome.runtime.sendMessage(
+      { action: "setUrlsPinned", keys: keys, isPinned: isPinned },
+      (response) => {
+        if (response && response.success) {
+          const updatedKeys = new Set(keys);
+          loadedRecords.forEach((record) => {
+            if (updatedKeys.has(record.key)) record.pinned = isPinned;
+          });
+          renderVisibleRows();
+          if (keys.length > 1) {
+            showMessage(
+              `${isPinned ? "Pinned" : "Unpinned"} ${response.updated} URLs.`,
+              "success",
+            );
+          }
+        } else {
+          showMessage("Failed to pin URLs.", "error");
+        }
+      },
+    );
+  }
 
-        simplifyUrlsToggle.checked = isSimplificationEnabled;
-        ignoredParamsInput.value = ignoredParams.join(", ");
+  deleteSelectedButton.addEventListener("click", () =>
+    deleteRecords(Array.from(selectedKeys)),
+  );
+  pinSelectedButton.addEventListener("click", () =>
+    setRecordsPinned(Array.from(selectedKeys), true),
+  );
+  unpinSelectedButton.addEventListener("click", () =>
+    setRecordsPinned(Array.from(selectedKeys), false),
+  );
+
+  // Pinned URLs are kept, like with Clear All.
+  deleteMatchingButton.addEventListener("click", () => {
+    if (searchInput.value.trim() === "") {
+      showMessage("Enter a search to delete the URLs matching it.", "info");
+      return;
+    }
+    const keys = viewRecords
+      .filter((record) => !record.pinned)
+      .map((record) => record.key);
+    if (keys.length === 0) {
+      showMessage("No unpinned URLs match the search.", "info");
+      return;
+    }
+    deleteRecords(keys);
+  });
 
-        const filteredUrls = filterUrlsByPatterns(
-          allRecordedUrls,
-          currentPatterns,
+  undoButton.addEventListener("click", () => {
+    chrome.runtime.sendMessage({ action: "undoLastDelete" }, (response) => {
+      if (response && response.success) {
+        showMessage(
+          response.restored > 0
+            ? `Restored ${response.restored} URLs.`
+            : "Nothing to undo.",
+          response.restored > 0 ? "success" : "info",
         );
-        renderUrlList(filteredUrls);
+        if (response.restored > 0) updatePopupUI();
+      } else {
+        showMessage("Failed to undo.", "error");
       }
     });
+  });
+
+  urlList.addEventListener("scroll", () => {
+    if (isRowRenderScheduled) return;
+    isRowRenderScheduled = true;
+    requestAnimationFrame(() => {
+      isRowRenderScheduled = false;
+      renderVisibleRows();
+    });
+  });
+
+  searchInput.addEventListener("input", () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(updateListView, SEARCH_DELAY);
+  });
+  [searchModeSelect, sortSelect, groupSelect].forEach((select) =>
+    select.addEventListener("change", () => {
+      urlList.scrollTop = 0;
+      updateListView();
+    }),
+  );
+
+  /**
+   * Downloads the redirect chain of a recorded URL back to its origin, one
+   * URL per line with the origin first.
+   * @param {string} url - The recorded URL.
+   */
+  function exportRedirectChain(url) {
+    chrome.runtime.sendMessage(
+      { action: "getRedirectChain", url: url },
+      (response) => {
+        if (response && response.success) {
+          downloadTextFile(response.chain.join("\n"), "redirect_chain.txt");
+          showMessage(
+            `Downloaded a redirect chain of ${response.chain.length} URLs.`,
+            "success",
+          );
+        } else {
+          showMessage("Failed to retrieve the redirect chain.", "error");
+        }
+      },
+    );
   }
 
-  updatePopupUI();
+  /**
+   * Fetches the current settings and recorded URLs from the background script
+   * and updates the popup UI.
+   */
+  function updatePopupUI() {
+    chrome.runtime.sendMessage(
+      { action: "getRecordedUrls", offset: 0, limit: RECORDS_PAGE_SIZE },
+      (response) => {
+        if (response) {
+          const currentPatterns = response.targetPatterns || [];
+          const currentExcludePatterns = response.excludePatterns || [];
+          const firstPage = response.urls || [];
+          const isSimplificationEnabled =
+            response.isUrlSimplificationEnabled || false;
+          const ignoredParams = response.ignoredUrlParams || [];
+          const currentProject = response.projects.find(
+            (project) => project.id === response.projectId,
+          );
 
-  // Event listener for setting the target patterns
-  setPatternsButton.addEventListener("click", () => {
-    const patterns = patternInput.value
-      .split("\n")
-      .map((p) => p.trim())
-      .filter((p) => p !== "");
-    if (patterns.length > 0) {
-      chrome.runtime.sendMessage(
-        { action: "setTargetPatterns", patterns: patterns },
-        (response) => {
-          if (response.success) {
-            showMessage(
-              `Monitoring set for ${response.patterns.length} patterns.`,
-              "success",
-            );
-            updatePopupUI();
+          renderProjectSelect(
+            projectSelect,
+            response.projects,
+            response.projectId,
+          );
+          projectActiveToggle.checked = currentProject.isActive;
+          projectNameInput.value = currentProject.name;
+          currentProjectName = currentProject.name;
+          deleteProjectButton.disabled = response.projects.length === 1;
+
+          if (currentPatterns.length > 0) {
+            currentPatternsDisplay.textContent = `${currentPatterns.length} patterns`;
+            patternInput.value = currentPatterns.join("\n");
           } else {
-            showMessage(`Error setting patterns.`, "error");
+            currentPatternsDisplay.textContent = "None";
+            patternInput.value = "";
           }
-        },
-      );
-    } else {
-      chrome.runtime.sendMessage(
-        { action: "setTargetPatterns", patterns: [] },
-        (response) => {
-          if (response.success) {
-            showMessage("Monitoring stopped (no patterns set).", "info");
-            updatePopupUI();
+          excludeInput.value = currentExcludePatterns.join("\n");
+          rulesEditor.textarea.value = response.extractionRules
+            .map(formatExtractionRule)
+            .join("\n");
+          dataAttributeScanToggle.checked = response.isDataAttributeScanEnabled;
+          textScanLimitInput.value = response.textScanLimit || "";
+          validatePatternEditor(patternEditor);
+          validatePatternEditor(excludeEditor);
+          validatePatternEditor(rulesEditor);
+          rewriteRulesEditor.textarea.value = response.rewriteRules.join("\n");
+          validatePatternEditor(rewriteRulesEditor);
+          pauseToggle.checked = response.isRecordingPaused;
+          allowlistEditor.textarea.value = response.siteAllowlist.join("\n");
+          denylistEditor.textarea.value = response.siteDenylist.join("\n");
+          validatePatternEditor(allowlistEditor);
+          validatePatternEditor(denylistEditor);
+          runPatternTester();
+
+          simplifyUrlsToggle.checked = isSimplificationEnabled;
+          ignoredParamsInput.value = ignoredParams.join(", ");
+          setNormalizationOptions(
+            normalizationOptions,
+            response.normalizationOptions,
+          );
+          storeNormalizedUrlToggle.checked = response.isNormalizedUrlStored;
+          updateNormalizationPreview();
+
+          networkCaptureToggle.checked = response.isNetworkCaptureEnabled;
+          resourceTypeCheckboxes.forEach((checkbox) => {
+            checkbox.checked = response.networkResourceTypes.includes(
+              checkbox.value,
+            );
+          });
+
+          // Show the first page right away, then the rest once loaded.
+          const loadId = ++listLoadId;
+          totalRecordCount = response.total;
+          // The store only holds what the patterns let through, e.g. also
+          // URLs imported past them, so records are shown as they are.
+          loadedRecords = firstPage;
+          updateListView();
+          if (firstPage.length < RECORDS_PAGE_SIZE) {
+            return;
           }
-        },
-      );
-    }
+          fetchAllRecordedUrls(
+            (records) => {
+              if (loadId !== listLoadId) return;
+              if (!records) {
+                showMessage("Failed to load all recorded URLs.", "error");
+                return;
+              }
+              loadedRecords = records;
+              updateListView();
+            },
+            firstPage.length,
+            firstPage.slice(),
+          );
+        }
+      },
+    );
+  }
+
+  updatePopupUI();
+
+  // Event listeners for setting the target and exclude patterns
+  setPatternsButton.addEventListener("click", () =>
+    sendTargetPatterns(patternEditor, updatePopupUI),
+  );
+  setExcludesButton.addEventListener("click", () =>
+    sendExcludePatterns(excludeEditor, updatePopupUI),
+  );
+
+  // Event listeners for the extraction rules
+  setRulesButton.addEventListener("click", () => {
+    const { patterns: lines } = readPatternLines(rulesEditor.textarea);
+    sendExtractionRules(lines);
+  });
+  resetRulesButton.addEventListener("click", () => {
+    sendExtractionRules(DEFAULT_EXTRACTION_RULES.map(formatExtractionRule));
   });
 
-  // Event listener for URL simplification settings
-  simplifyUrlsToggle.addEventListener("change", sendSimplificationSettings);
-  ignoredParamsInput.addEventListener("input", sendSimplificationSettings);
+  // Event listeners for the rewrite rules
+  setRewriteRulesButton.addEventListener("click", () => {
+    const { patterns: lines } = readPatternLines(rewriteRulesEditor.textarea);
+    sendRewriteRules(lines);
+  });
+  builtInRewriteRulesButton.addEventListener("click", () => {
+    sendRewriteRules(DEFAULT_REWRITE_RULES);
+  });
 
-  function sendSimplificationSettings() {
-    const isEnabled = simplifyUrlsToggle.checked;
-    const params = ignoredParamsInput.value
-      .split(",")
-      .map((p) => p.trim())
-      .filter((p) => p !== "");
+  /**
+   * Saves rewrite rules.
+   * @param {string[]} lines - The rule lines, see matcher.js.
+   */
+  function sendRewriteRules(lines) {
+    chrome.runtime.sendMessage(
+      { action: "setRewriteRules", rules: lines },
+      (response) => {
+        if (response.success) {
+          showMessage(
+            `Rewriting with ${response.rules.length} rules.`,
+            "success",
+          );
+          updatePopupUI();
+        } else if (response.errors) {
+          renderPatternErrors(rewriteRulesEditor, response.errors);
+          showMessage(
+            `${response.errors.length} invalid rewrite rules, nothing saved. See the marked lines.`,
+            "error",
+          );
+        } else {
+          showMessage(`Error setting rewrite rules.`, "error");
+        }
+      },
+    );
+  }
 
+  /**
+   * Saves extraction rules along with the data-* attribute scan option and
+   * the text node limit.
+   * @param {string[]} lines - The rule lines, see rules.js.
+   */
+  function sendExtractionRules(lines) {
     chrome.runtime.sendMessage(
       {
-        action: "setSimplificationSettings",
-        isEnabled: isEnabled,
-        params: params,
+        action: "setExtractionRules",
+        rules: lines,
+        scanDataAttributes: dataAttributeScanToggle.checked,
+        textScanLimit: parseInt(textScanLimitInput.value, 10) || 0,
       },
       (response) => {
         if (response.success) {
-          showMessage("URL simplification settings updated.", "success");
+          showMessage(
+            `Extracting with ${response.rules.length} rules.`,
+            "success",
+          );
+          updatePopupUI();
+        } else if (response.errors) {
+          renderPatternErrors(rulesEditor, response.errors);
+          showMessage(
+            `${response.errors.length} invalid rules, nothing saved. See the marked lines.`,
+            "error",
+          );
         } else {
-          showMessage("Error updating simplification settings.", "error");
+          showMessage(`Error setting extraction rules.`, "error");
         }
       },
     );
   }
 
-  // Event listener for clearing all recorded URLs
-  clearUrlsButton.addEventListener("click", () => {
-    chrome.runtime.sendMessage({ action: "clearRecordedUrls" }, (response) => {
-      if (response.success) {
-        showMessage("All recorded URLs cleared.", "success");
-        updatePopupUI();
-      } else {
-        showMessage("Failed to clear URLs.", "error");
-      }
+  // Event listeners for the projects
+  projectSelect.addEventListener("change", () => {
+    switchProject(projectSelect.value, () => {
+      updatePopupUI();
+      showMessage("Switched projects.", "success");
     });
   });
 
-  // Event listener for downloading all recorded URLs
-  downloadUrlsButton.addEventListener("click", () => {
-    chrome.runtime.sendMessage({ action: "getRecordedUrls" }, (response) => {
-      if (response && response.urls) {
-        const urlsToDownload = response.urls;
-        if (urlsToDownload.length === 0) {
-          showMessage("No URLs to download.", "info");
-          return;
+  projectActiveToggle.addEventListener("change", () => {
+    const isActive = projectActiveToggle.checked;
+    chrome.runtime.sendMessage(
+      {
+        action: "setProjectActive",
+        projectId: projectSelect.value,
+        isActive: isActive,
+      },
+      (response) => {
+        if (response && response.success) {
+          updatePopupUI();
+          showMessage(
+            isActive
+              ? "Recording into this project."
+              : "Not recording into this project.",
+            "success",
+          );
+        } else {
+          showMessage("Error updating the project.", "error");
         }
-        try {
-          const content = urlsToDownload.join("\n");
-          const blob = new Blob([content], { type: "text/plain" });
-          const url = URL.createObjectURL(blob);
-          const a = document.createElement("a");
-          a.href = url;
-          a.download = "recorded_urls.txt";
-          document.body.appendChild(a);
-          a.click();
-          document.body.removeChild(a);
-          URL.revokeObjectURL(url);
-          showMessage(`Downloaded ${urlsToDownload.length} URLs.`, "success");
-        } catch (e) {
-          console.error("Error during download process:", e);
-          showMessage("An error occurred during download.", "error");
+      },
+    );
+  });
+
+  createProjectButton.addEventListener("click", () => {
+    const name = projectNameInput.value.trim();
+    if (name === "") {
+      showMessage("Enter a name for the new project.", "info");
+      return;
+    }
+    chrome.runtime.sendMessage(
+      { action: "createProject", name: name },
+      (response) => {
+        if (response && response.success) {
+          updatePopupUI();
+          showMessage(`Created project "${name}".`, "success");
+        } else {
+          showMessage("Error creating the project.", "error");
         }
-      } else {
-        showMessage("Failed to retrieve URLs for download.", "error");
-      }
-    });
+      },
+    );
   });
 
-  // Event listener for copying all recorded URLs to clipboard
-  copyUrlsButton.addEventListener("click", () => {
-    chrome.runtime.sendMessage({ action: "getRecordedUrls" }, (response) => {
-      if (response && response.urls) {
-        const urlsToCopy = response.urls;
-        if (urlsToCopy.length === 0) {
-          showMessage("No URLs to copy.", "info");
-          return;
+  renameProjectButton.addEventListener("click", () => {
+    const name = projectNameInput.value.trim();
+    if (name === "") {
+      showMessage("Enter a new name for the project.", "info");
+      return;
+    }
+    chrome.runtime.sendMessage(
+      { action: "renameProject", projectId: projectSelect.value, name: name },
+      (response) => {
+        if (response && response.success) {
+          updatePopupUI();
+          showMessage(`Renamed the project to "${name}".`, "success");
+        } else {
+          showMessage("Error renaming the project.", "error");
         }
-        try {
-          const textToCopy = urlsToCopy.join("\n");
-          const tempTextArea = document.createElement("textarea");
-          tempTextArea.value = textToCopy;
-          tempTextArea.style.position = "fixed";
-          tempTextArea.style.left = "-9999px";
-          tempTextArea.style.top = "-9999px";
-          document.body.appendChild(tempTextArea);
-          tempTextArea.focus();
-          tempTextArea.select();
-          const success = document.execCommand("copy");
-          document.body.removeChild(tempTextArea);
-          if (success) {
+      },
+    );
+  });
+
+  deleteProjectButton.addEventListener("click", () => {
+    const name = currentProjectName;
+    if (
+      !confirm(
+        `Delete project "${name}" with all its recorded URLs, pinned ones included?`,
+      )
+    ) {
+      return;
+    }
+    chrome.runtime.sendMessage(
+      { action: "deleteProject", projectId: projectSelect.value },
+      (response) => {
+        if (response && response.success) {
+          updatePopupUI();
+          showMessage(
+            `Deleted project "${name}" and its ${response.deleted} URLs.`,
+            "success",
+          );
+        } else {
+          showMessage("Error deleting the project.", "error");
+        }
+      },
+    );
+  });
+
+  // Event listener for pausing and resuming recording
+  pauseToggle.addEventListener("change", () => {
+    const isPaused = pauseToggle.checked;
+    chrome.runtime.sendMessage(
+      { action: "setRecordingPaused", isPaused: isPaused },
+      (response) => {
+        if (response.success) {
+          showMessage(
+            isPaused ? "Recording paused." : "Recording resumed.",
+            "success",
+          );
+        } else {
+          showMessage("Error pausing recording.", "error");
+        }
+      },
+    );
+  });
+
+  // Event listeners for the per-site lists
+  setAllowlistButton.addEventListener("click", () =>
+    sendSiteList("allow", allowlistEditor),
+  );
+  setDenylistButton.addEventListener("click", () =>
+    sendSiteList("deny", denylistEditor),
+  );
+
+  /**
+   * Saves the sites of a site list editor.
+   * @param {string} list - Which list to save, "allow" or "deny".
+   * @param {object} editor - The site list editor.
+   */
+  function sendSiteList(list, editor) {
+    const { patterns: sites } = readPatternLines(editor.textarea);
+    chrome.runtime.sendMessage(
+      { action: "setSiteList", list: list, sites: sites },
+      (response) => {
+        if (response.success) {
+          if (list === "allow") {
             showMessage(
-              `Copied ${urlsToCopy.length} URLs to clipboard.`,
+              response.sites.length > 0
+                ? `Recording on ${response.sites.length} sites only.`
+                : "Recording on all sites.",
               "success",
             );
           } else {
-            showMessage("Failed to copy URLs to clipboard.", "error");
+            showMessage(
+              response.sites.length > 0
+                ? `Never recording on ${response.sites.length} sites.`
+                : "No sites denied.",
+              "success",
+            );
           }
-        } catch (e) {
-          console.error("Error during copy to clipboard process:", e);
-          showMessage("An error occurred during copy to clipboard.", "error");
+          updatePopupUI();
+        } else if (response.errors) {
+          renderPatternErrors(editor, response.errors);
+          showMessage(
+            `${response.errors.length} invalid sites, nothing saved. See the marked lines.`,
+            "error",
+          );
+        } else {
+          showMessage(`Error setting the site list.`, "error");
         }
+      },
+    );
+  }
+
+  // Event listeners for URL simplification settings
+  simplifyUrlsToggle.addEventListener("change", saveSimplificationSettings);
+  ignoredParamsInput.addEventListener("change", saveSimplificationSettings);
+  ignoredParamsInput.addEventListener("input", updateNormalizationPreview);
+  renderNormalizationOptions(normalizationOptions, saveSimplificationSettings);
+  storeNormalizedUrlToggle.addEventListener(
+    "change",
+    saveSimplificationSettings,
+  );
+  normalizationPreviewInput.addEventListener(
+    "input",
+    updateNormalizationPreview,
+  );
+
+  function saveSimplificationSettings() {
+    sendSimplificationSettings(
+      simplifyUrlsToggle.checked,
+      parseIgnoredParams(ignoredParamsInput.value),
+      readNormalizationOptions(normalizationOptions),
+      storeNormalizedUrlToggle.checked,
+    );
+    updateNormalizationPreview();
+  }
+
+  /**
+   * Shows the simplified form of the preview URL under the draft settings.
+   */
+  function updateNormalizationPreview() {
+    const url = normalizationPreviewInput.value.trim();
+    if (url === "") {
+      normalizationPreview.textContent = "";
+      return;
+    }
+    const normalizedUrl = normalizeUrl(
+      url,
+      compileParamNamePatterns(parseIgnoredParams(ignoredParamsInput.value))
+        .matchers,
+      readNormalizationOptions(normalizationOptions),
+    );
+    normalizationPreview.textContent = simplifyUrlsToggle.checked
+      ? `Recorded as ${normalizedUrl}`
+      : `Recorded as is; simplification would give ${normalizedUrl}`;
+  }
+
+  // Event listeners for network request capture settings
+  networkCaptureToggle.addEventListener("change", sendNetworkCaptureSettings);
+  resourceTypeCheckboxes.forEach((checkbox) =>
+    checkbox.addEventListener("change", sendNetworkCaptureSettings),
+  );
+
+  function sendNetworkCaptureSettings() {
+    const resourceTypes = Array.from(resourceTypeCheckboxes)
+      .filter((checkbox) => checkbox.checked)
+      .map((checkbox) => checkbox.value);
+
+    chrome.runtime.sendMessage(
+      {
+        action: "setNetworkCaptureSettings",
+        isEnabled: networkCaptureToggle.checked,
+        resourceTypes: resourceTypes,
+      },
+      (response) => {
+        if (response.success) {
+          showMessage("Network capture settings updated.", "success");
+        } else {
+          showMessage("Error updating network capture settings.", "error");
+        }
+      },
+    );
+  }
+
+  /**
+   * Tests the sample URLs against the draft rewrite rules, patterns,
+   * excludes and simplification settings, using the matcher and normalizeUrl
+   * shared with the background, then previews the matches among the
+   * recorded URLs.
+   */
+  function runPatternTester() {
+    if (!patternTester.open) return;
+    const { patterns } = readPatternLines(patternInput);
+    const { patterns: excludePatterns } = readPatternLines(excludeInput);
+    const targetMatchers = compilePatterns(patterns).matchers;
+    const excludeMatchers = compilePatterns(excludePatterns).matchers;
+    const paramMatchers = compileParamNamePatterns(
+      parseIgnoredParams(ignoredParamsInput.value),
+    ).matchers;
+    const enabledOptions = readNormalizationOptions(normalizationOptions);
+    const { rules: rewriteRules } = compileRewriteRules(
+      readPatternLines(rewriteRulesEditor.textarea).patterns,
+    );
+
+    testerResults.innerHTML = "";
+    readPatternLines(testerInput).patterns.forEach((sampleUrl) => {
+      const li = document.createElement("li");
+      const urlLine = document.createElement("div");
+      urlLine.textContent = sampleUrl;
+      const status = document.createElement("div");
+      status.classList.add("url-meta");
+
+      const url = rewriteUrl(sampleUrl, rewriteRules);
+      if (url !== sampleUrl) {
+        urlLine.textContent += ` → ${url}`;
+      }
+      const matchedPattern = findMatchingPattern(url, targetMatchers);
+      const excludedBy =
+        matchedPattern !== null
+          ? findMatchingPattern(url, excludeMatchers)
+          : null;
+      if (matchedPattern === null) {
+        status.textContent = "No pattern matches, not recorded.";
+        li.classList.add("tester-no-match");
+      } else if (excludedBy !== null) {
+        status.textContent = `Matched by "${matchedPattern}" but excluded by "${excludedBy}".`;
+        li.classList.add("tester-excluded");
+      } else {
+        status.textContent = `Matched by "${matchedPattern}".`;
+        const normalizedUrl = normalizeUrl(url, paramMatchers, enabledOptions);
+        if (simplifyUrlsToggle.checked && normalizedUrl !== url) {
+          status.textContent += ` Simplified to ${normalizedUrl}`;
+        }
+        li.classList.add("tester-match");
+      }
+      li.append(urlLine, status);
+      testerResults.appendChild(li);
+    });
+
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(
+      () => previewRecordedMatches(patterns, excludePatterns),
+      PREVIEW_DELAY,
+    );
+  }
+
+  /**
+   * Shows how many already-recorded URLs each draft pattern would match.
+   * @param {string[]} patterns - The draft target patterns.
+   * @param {string[]} excludePatterns - The draft exclude patterns.
+   */
+  function previewRecordedMatches(patterns, excludePatterns) {
+    chrome.runtime.sendMessage(
+      {
+        action: "previewPatterns",
+        patterns: patterns,
+        excludePatterns: excludePatterns,
+      },
+      (response) => {
+        testerCounts.innerHTML = "";
+        if (!response || !response.success) {
+          showMessage("Failed to preview recorded URL matches.", "error");
+          return;
+        }
+        patterns.forEach((pattern, i) => {
+          const li = document.createElement("li");
+          const count = response.counts[i];
+          li.textContent =
+            count === null
+              ? `invalid · ${pattern}`
+              : `${count} of ${response.total} · ${pattern}`;
+          li.classList.add(count ? "tester-match" : "tester-no-match");
+          testerCounts.appendChild(li);
+        });
+        if (response.excludedCount > 0) {
+          const li = document.createElement("li");
+          li.textContent = `${response.excludedCount} of the matches are excluded.`;
+          li.classList.add("tester-excluded");
+          testerCounts.appendChild(li);
+        }
+      },
+    );
+  }
+
+  patternTester.addEventListener("toggle", runPatternTester);
+  [
+    testerInput,
+    patternInput,
+    excludeInput,
+    ignoredParamsInput,
+    rewriteRulesEditor.textarea,
+  ].forEach((input) => input.addEventListener("input", runPatternTester));
+  simplifyUrlsToggle.addEventListener("change", runPatternTester);
+  normalizationOptions.addEventListener("change", runPatternTester);
+
+  // Event listener for clearing all recorded URLs
+  clearUrlsButton.addEventListener("click", () => {
+    chrome.runtime.sendMessage({ action: "clearRecordedUrls" }, (response) => {
+      if (response.success) {
+        showMessage(
+          response.kept > 0
+            ? `Cleared ${response.deleted} URLs, kept ${response.kept} pinned ones. Use Undo to restore them.`
+            : `Cleared ${response.deleted} URLs. Use Undo to restore them.`,
+          "success",
+        );
+        selectedKeys.clear();
+        updatePopupUI();
       } else {
-        showMessage("Failed to retrieve URLs for copy to clipboard.", "error");
+        showMessage("Failed to clear URLs.", "error");
       }
     });
   });
 
+  // Event listeners for downloading and copying the recorded URLs in the
+  // picked export format
+  downloadUrlsButton.addEventListener("click", () =>
+    exportRecordsWithControls(exportControls, viewRecords, "download"),
+  );
+  copyUrlsButton.addEventListener("click", () =>
+    exportRecordsWithControls(exportControls, viewRecords, "copy"),
+  );
+
+  // Event listener for opening the dashboard, the options page
+  openDashboardButton.addEventListener("click", () =>
+    chrome.runtime.openOptionsPage(),
+  );
+
+  // Event listener for opening the live feed in the side panel. The window id
+  // is looked up ahead, as sidePanel.open() must be called right in the click.
+  let currentWindowId = null;
+  chrome.windows.getCurrent((currentWindow) => {
+    currentWindowId = currentWindow.id;
+  });
+  openSidePanelButton.addEventListener("click", () => {
+    chrome.sidePanel.open({ windowId: currentWindowId }).then(
+      () => window.close(),
+      (error) => {
+        console.error("Error opening the side panel:", error);
+        showMessage("Failed to open the live feed.", "error");
+      },
+    );
+  });
+
   // Event listener for the debug mode toggle
   debugModeToggle.addEventListener("change", () => {
     const isDebug = debugModeToggle.checked;
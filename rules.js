@@ -0,0 +1,152 @@
+// rules.js
+// Extraction rules, shared by the background service worker, the popup and
+// the content script. A rule makes the content script read a URL from one
+// attribute of the elements matching a CSS selector, optionally only on
+// hosts matching a host pattern. Needs matcher.js loaded first.
+//
+// In the popup each rule is one line: `selector | attribute | host pattern`,
+// e.g. `a.file | data-download | *.example.com`. The host pattern is optional
+// and uses the `domain:` syntax of matcher.js: a leading `*.` includes
+// subdomains. A `srcset` attribute is parsed as a list of image candidates.
+
+const RULE_SEPARATOR_REGEX = /\s+\|\s+/;
+const ATTRIBUTE_NAME_REGEX = /^[^\s"'>/=]+$/;
+
+// Data attributes commonly holding URLs, covered by the default rules
+const DEFAULT_DATA_ATTRIBUTES = [
+  "data-url",
+  "data-href",
+  "data-link",
+  "data-src",
+  "data-image",
+  "data-background",
+  "data-original",
+  "data-original-src",
+  "data-original-href",
+  "data-video-src",
+  "data-poster",
+  "data-thumbnail",
+  "data-item-url",
+  "data-product-url",
+  "data-asset-url",
+  "data-api-url",
+  "data-redirect-url",
+  "data-target-url",
+];
+
+const DEFAULT_EXTRACTION_RULES = [
+  ["a[href]", "href"],
+  ["img[src]", "src"],
+  ["link[href]", "href"],
+  ["script[src]", "src"],
+  ["iframe[src]", "src"],
+  ["form[action]", "action"],
+  ["img[srcset]", "srcset"],
+  ["source[srcset]", "srcset"],
+  ["video[poster]", "poster"],
+  ["audio[src]", "src"],
+  ["track[src]", "src"],
+  ["object[data]", "data"],
+  ["embed[src]", "src"],
+  ...DEFAULT_DATA_ATTRIBUTES.map((attribute) => [`[${attribute}]`, attribute]),
+].map(([selector, attribute]) => ({
+  selector: selector,
+  attribute: attribute,
+  hostPattern: "",
+}));
+
+/**
+ * Parses one line of the rules editor into an extraction rule.
+ * @param {string} line - The rule line, `selector | attribute | host pattern`.
+ * @returns {{selector: string, attribute: string, hostPattern: string}} The rule.
+ * @throws {Error} If the line is malformed or any part of it is invalid.
+ */
+function parseExtractionRule(line) {
+  const parts = line.trim().split(RULE_SEPARATOR_REGEX);
+  if (parts.length < 2 || parts.length > 3) {
+    throw new Error(
+      'Expected "selector | attribute" or "selector | attribute | host pattern"',
+    );
+  }
+  const [selector, attribute, hostPattern = ""] = parts;
+  if (!ATTRIBUTE_NAME_REGEX.test(attribute)) {
+    throw new Error(`Invalid attribute name "${attribute}"`);
+  }
+  // Selectors can only be checked where there is a DOM, i.e. not in the
+  // service worker; the content script skips rules that fail there.
+  if (typeof document !== "undefined") {
+    try {
+      document.createDocumentFragment().querySelector(selector);
+    } catch (e) {
+      throw new Error(`Invalid selector "${selector}"`);
+    }
+  }
+  if (hostPattern !== "") {
+    compilePattern(`domain:${hostPattern}`);
+  }
+  return {
+    selector: selector,
+    attribute: attribute.toLowerCase(),
+    hostPattern: hostPattern,
+  };
+}
+
+/**
+ * Parses the lines of the rules editor, collecting an error for each
+ * invalid line like compilePatterns does.
+ * @param {string[]} lines - The non-empty rule lines.
+ * @returns {{rules: object[], errors: {index: number, pattern: string, message: string}[]}}
+ *   The valid rules, and the errors with the index of the offending line.
+ */
+function parseExtractionRules(lines) {
+  const rules = [];
+  const errors = [];
+  (lines || []).forEach((line, index) => {
+    try {
+      rules.push(parseExtractionRule(line));
+    } catch (e) {
+      errors.push({ index: index, pattern: line, message: e.message });
+    }
+  });
+  return { rules, errors };
+}
+
+/**
+ * Formats an extraction rule as a line of the rules editor.
+ * @param {{selector: string, attribute: string, hostPattern: string}} rule - The rule.
+ * @returns {string} The rule line.
+ */
+function formatExtractionRule(rule) {
+  const parts = [rule.selector, rule.attribute];
+  if (rule.hostPattern) {
+    parts.push(rule.hostPattern);
+  }
+  return parts.join(" | ");
+}
+
+/**
+ * Selects the rules that apply to a page, by their host pattern.
+ * @param {object[]} rules - The extraction rules.
+ * @param {string} pageUrl - The URL or origin of the page.
+ * @returns {object[]} The rules without a host pattern or whose host pattern matches the page.
+ */
+function getActiveExtractionRules(rules, pageUrl) {
+  return rules.filter((rule) => {
+    if (!rule.hostPattern) return true;
+    try {
+      return compilePattern(`domain:${rule.hostPattern}`).test(pageUrl);
+    } catch (e) {
+      return false;
+    }
+  });
+}
+
+/**
+ * Checks if an attribute value looks like a URL: absolute http(s),
+ * protocol-relative, or a path starting with `/`, `./` or `../`.
+ * @param {string} value - The attribute value.
+ * @returns {boolean} True if the value looks like a URL.
+ */
+function looksLikeUrl(value) {
+  return /^(?:(?:https?:)?\/\/|\.{0,2}\/)[^\s/]\S*$/i.test(value.trim());
+}
@@ -0,0 +1,24 @@
+// shadow_hook.js
+// Runs in the page's own JavaScript world at document_start, so it sees the
+// page's calls to attachShadow, which the isolated content script cannot.
+// Announces each open shadow root to content.js with a DOM event.
+
+(() => {
+  const SHADOW_ROOT_ATTACHED_EVENT = "urlrecorder:shadowrootattached";
+  const attachShadow = Element.prototype.attachShadow;
+
+  Element.prototype.attachShadow = function (init) {
+    const shadowRoot = attachShadow.call(this, init);
+    if (init && init.mode === "open") {
+      // Hosts not yet in the document are picked up by the content script's
+      // MutationObserver once they are inserted.
+      this.dispatchEvent(
+        new CustomEvent(SHADOW_ROOT_ATTACHED_EVENT, {
+          bubbles: true,
+          composed: true,
+        }),
+      );
+    }
+    return shadowRoot;
+  };
+})();
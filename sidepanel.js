@@ -0,0 +1,238 @@
+// sidepanel.js
+// This script handles the UI logic for the side panel: a live feed of the URLs
+// as they are recorded, streamed from the background through a port.
+
+document.addEventListener("DOMContentLoaded", () => {
+  const feedList = document.getElementById("feedList");
+  const thisTabOnlyToggle = document.getElementById("thisTabOnlyToggle");
+  const clearFeedButton = document.getElementById("clearFeedButton");
+
+  const LIVE_FEED_PORT_NAME = "liveFeed"; // Must match the name background.js accepts
+  const RECONNECT_DELAY = 1000; // milliseconds to wait before reconnecting to a restarted background
+  const MAX_FEED_ITEMS = 500; // Feed entries kept, newest first
+
+  let feedItems = []; // Feed entries, newest first: { record, tabId, sightings, status }
+  let activeTabId = null; // The active tab of this panel's window
+  let windowId = null; // The window this panel belongs to
+  let isRenderScheduled = false; // Whether a frame is pending to render the feed
+
+  /**
+   * Connects to the background's live feed, reconnecting whenever the
+   * service worker is stopped and the port closes.
+   */
+  function connect() {
+    const port = chrome.runtime.connect({ name: LIVE_FEED_PORT_NAME });
+    port.onMessage.addListener((message) => {
+      if (message.type === "urlRecorded") {
+        addFeedItem(message.record, message.tabId);
+      }
+    });
+    port.onDisconnect.addListener(() => setTimeout(connect, RECONNECT_DELAY));
+  }
+
+  /**
+   * Puts a recorded URL at the top of the feed. A URL already in the feed
+   * for the same project moves up and counts one more sighting.
+   * @param {object} record - The URL record, as created by the background.
+   * @param {number|null} tabId - The tab the URL was found in, if any.
+   */
+  function addFeedItem(record, tabId) {
+    const existing = feedItems.find(
+      (item) =>
+        item.record.project === record.project &&
+        item.record.key === record.key,
+    );
+    const item = existing
+      ? { ...existing, record: record, tabId: tabId }
+      : { record: record, tabId: tabId, sightings: 0, status: null };
+    item.sightings++;
+    feedItems = [
+      item,
+      ...feedItems.filter((other) => other !== existing),
+    ].slice(0, MAX_FEED_ITEMS);
+    scheduleRender();
+  }
+
+  /**
+   * Renders the feed in the next frame, so a burst of URLs costs one render.
+   */
+  function scheduleRender() {
+    if (isRenderScheduled) return;
+    isRenderScheduled = true;
+    requestAnimationFrame(() => {
+      isRenderScheduled = false;
+      renderFeed();
+    });
+  }
+
+  /**
+   * Renders the feed entries, only those of the active tab if so filtered.
+   */
+  function renderFeed() {
+    const items = thisTabOnlyToggle.checked
+      ? feedItems.filter((item) => item.tabId === activeTabId)
+      : feedItems;
+    feedList.innerHTML = "";
+    if (items.length === 0) {
+      const li = document.createElement("li");
+      li.textContent = thisTabOnlyToggle.checked
+        ? "Waiting for URLs to be recorded in this tab…"
+        : "Waiting for URLs to be recorded…";
+      li.classList.add("empty-placeholder");
+      feedList.appendChild(li);
+      return;
+    }
+    items.forEach((item) => feedList.appendChild(buildFeedRow(item)));
+  }
+
+  /**
+   * Builds the row of a feed entry, with its quick actions.
+   * @param {object} item - The feed entry.
+   * @returns {HTMLLIElement} The row.
+   */
+  function buildFeedRow(item) {
+    const { record } = item;
+    const li = document.createElement("li");
+    if (item.status) li.classList.add(item.status);
+
+    const a = document.createElement("a");
+    a.href = record.url;
+    a.textContent = record.url;
+    a.target = "_blank";
+    li.appendChild(a);
+
+    const meta = document.createElement("div");
+    meta.classList.add("url-meta");
+    const parts = [
+      new Date(record.lastSeen).toLocaleTimeString(),
+      record.source,
+    ];
+    if (record.role) parts.push(record.role);
+    if (item.sightings > 1) parts.push(`seen ${item.sightings} times`);
+    if (item.status) parts.push(item.status);
+    meta.textContent = parts.join(" · ");
+    li.appendChild(meta);
+
+    const actions = document.createElement("div");
+    actions.append(
+      buildRowAction("Copy", () => {
+        if (copyTextToClipboard(record.url)) {
+          showMessage("URL copied to clipboard.", "success");
+        } else {
+          showMessage("Failed to copy the URL.", "error");
+        }
+      }),
+      buildRowAction("Open", () => chrome.tabs.create({ url: record.url })),
+      buildRowAction(
+        "Delete",
+        () => deleteRecord(item),
+        item.status === "deleted",
+      ),
+      buildRowAction(
+        "Exclude",
+        () => excludeUrl(item),
+        item.status === "excluded",
+      ),
+    );
+    li.appendChild(actions);
+    return li;
+  }
+
+  /**
+   * Builds a quick action button.
+   * @param {string} label - The button label.
+   * @param {function(): void} onClick - The action.
+   * @param {boolean} [isDisabled] - Whether the action is done already.
+   * @returns {HTMLButtonElement} The button.
+   */
+  function buildRowAction(label, onClick, isDisabled = false) {
+    const button = document.createElement("button");
+    button.textContent = label;
+    button.classList.add("row-action");
+    button.disabled = isDisabled;
+    button.addEventListener("click", onClick);
+    return button;
+  }
+
+  /**
+   * Deletes the recorded URL of a feed entry; the popup's undo restores it.
+   * @param {object} item - The feed entry.
+   */
+  function deleteRecord(item) {
+    chrome.runtime.sendMessage(
+      {
+        action: "deleteRecordedUrls",
+        projectId: item.record.project,
+        keys: [item.record.key],
+      },
+      (response) => {
+        if (response && response.success) {
+          item.status = "deleted";
+          renderFeed();
+          showMessage("URL deleted.", "success");
+        } else {
+          showMessage("Failed to delete the URL.", "error");
+        }
+      },
+    );
+  }
+
+  /**
+   * Adds an exclude pattern matching exactly the URL of a feed entry to its
+   * project, so it is not recorded there again. The URL recorded so far is kept.
+   * Projects showing simplified URLs send the URL as found as the original
+   * URL, which is what patterns are tested against, so it is matched too.
+   * @param {object} item - The feed entry.
+   */
+  function excludeUrl(item) {
+    const urls = [item.record.url];
+    if (
+      item.record.originalUrl &&
+      item.record.originalUrl !== item.record.url
+    ) {
+      urls.push(item.record.originalUrl);
+    }
+    const pattern =
+      urls.length === 1
+        ? `^${escapeRegex(urls[0])}$`
+        : `^(?:${urls.map(escapeRegex).join("|")})$`;
+    chrome.runtime.sendMessage(
+      {
+        action: "addExcludePattern",
+        projectId: item.record.project,
+        pattern: pattern,
+      },
+      (response) => {
+        if (response && response.success) {
+          item.status = "excluded";
+          renderFeed();
+          showMessage(`Added exclude pattern ${pattern}`, "success");
+        } else {
+          showMessage("Failed to add the exclude pattern.", "error");
+        }
+      },
+    );
+  }
+
+  // Follow the active tab of this window for the "This tab only" filter.
+  chrome.windows.getCurrent((currentWindow) => {
+    windowId = currentWindow.id;
+    chrome.tabs.query({ active: true, windowId: windowId }, (tabs) => {
+      activeTabId = tabs.length > 0 ? tabs[0].id : null;
+      renderFeed();
+    });
+  });
+  chrome.tabs.onActivated.addListener((activeInfo) => {
+    if (activeInfo.windowId !== windowId) return;
+    activeTabId = activeInfo.tabId;
+    if (thisTabOnlyToggle.checked) renderFeed();
+  });
+
+  thisTabOnlyToggle.addEventListener("change", renderFeed);
+  clearFeedButton.addEventListener("click", () => {
+    feedItems = [];
+    renderFeed();
+  });
+
+  connect();
+});
@@ -0,0 +1,573 @@
+// ui.js
+// Helpers shared by the extension pages: the popup, the dashboard and the side
+// panel. Loaded after matcher.js, which the pattern helpers use, exporters.js
+// and importers.js on the pages that export and import, and before the page
+// script.
+
+const RECORDS_PAGE_SIZE = 500; // Records requested per getRecordedUrls call
+
+/**
+ * Displays a message in the message box.
+ * @param {string} message - The message to display.
+ * @param {string} type - 'success', 'error', or 'info' for styling.
+ */
+function showMessage(message, type = "info") {
+  const messageBox = document.getElementById("messageBox");
+  messageBox.textContent = message;
+  messageBox.className = "message-box";
+  if (type === "success") {
+    messageBox.classList.add(
+      "bg-green-100",
+      "text-green-800",
+      "border-green-200",
+    );
+  } else if (type === "error") {
+    messageBox.classList.add("bg-red-100", "text-red-800", "border-red-200");
+  } else {
+    messageBox.classList.add("bg-blue-100", "text-blue-800", "border-blue-200");
+  }
+  messageBox.style.display = "block";
+  setTimeout(() => {
+    messageBox.style.display = "none";
+  }, 3000);
+}
+
+/**
+ * Reads the non-empty lines of a pattern textarea.
+ * @param {HTMLTextAreaElement} textarea - The pattern textarea.
+ * @returns {{patterns: string[], lineNumbers: number[]}} The trimmed patterns, and the 1-based line each one is on.
+ */
+function readPatternLines(textarea) {
+  const patterns = [];
+  const lineNumbers = [];
+  textarea.value.split("\n").forEach((line, i) => {
+    const pattern = line.trim();
+    if (pattern !== "") {
+      patterns.push(pattern);
+      lineNumbers.push(i + 1);
+    }
+  });
+  return { patterns, lineNumbers };
+}
+
+/**
+ * Renders the line gutter of a pattern editor, marking the offending lines,
+ * and lists the errors below it.
+ * @param {object} editor - The pattern editor (textarea, gutter and errorList).
+ * @param {{index: number, message: string}[]} errors - Errors indexed like the patterns of readPatternLines.
+ */
+function renderPatternErrors(editor, errors) {
+  const { lineNumbers } = readPatternLines(editor.textarea);
+  const errorsByLine = new Map(
+    errors.map((error) => [lineNumbers[error.index], error.message]),
+  );
+
+  editor.gutter.innerHTML = "";
+  const lineCount = editor.textarea.value.split("\n").length;
+  for (let line = 1; line <= lineCount; line++) {
+    const marker = document.createElement("div");
+    if (errorsByLine.has(line)) {
+      marker.textContent = "!";
+      marker.title = errorsByLine.get(line);
+      marker.classList.add("gutter-error");
+    } else {
+      marker.textContent = line;
+    }
+    editor.gutter.appendChild(marker);
+  }
+  editor.gutter.scrollTop = editor.textarea.scrollTop;
+
+  editor.errorList.innerHTML = "";
+  errorsByLine.forEach((message, line) => {
+    const li = document.createElement("li");
+    li.textContent = `Line ${line}: ${message}`;
+    editor.errorList.appendChild(li);
+  });
+}
+
+/**
+ * Validates a pattern editor with the same code the background uses
+ * and marks the invalid lines.
+ * @param {object} editor - The pattern editor (textarea, gutter, errorList and validate).
+ */
+function validatePatternEditor(editor) {
+  const { patterns } = readPatternLines(editor.textarea);
+  renderPatternErrors(editor, editor.validate(patterns));
+}
+
+/**
+ * Keeps a pattern editor's error markers and gutter in sync with its textarea.
+ * @param {object} editor - The pattern editor (textarea, gutter, errorList and validate).
+ */
+function initPatternEditor(editor) {
+  editor.textarea.addEventListener("input", () =>
+    validatePatternEditor(editor),
+  );
+  editor.textarea.addEventListener("scroll", () => {
+    editor.gutter.scrollTop = editor.textarea.scrollTop;
+  });
+}
+
+/**
+ * Saves the target patterns of a pattern editor, marking the invalid lines
+ * if the background rejects them.
+ * @param {object} editor - The target pattern editor.
+ * @param {function(object): void} onSaved - Called with the response once saved.
+ */
+function sendTargetPatterns(editor, onSaved) {
+  const { patterns } = readPatternLines(editor.textarea);
+  chrome.runtime.sendMessage(
+    { action: "setTargetPatterns", patterns: patterns },
+    (response) => {
+      if (response.success) {
+        if (response.patterns.length > 0) {
+          showMessage(
+            `Monitoring set for ${response.patterns.length} patterns.`,
+            "success",
+          );
+        } else {
+          showMessage("Monitoring stopped (no patterns set).", "info");
+        }
+        onSaved(response);
+      } else if (response.errors) {
+        renderPatternErrors(editor, response.errors);
+        showMessage(
+          `${response.errors.length} invalid patterns, nothing saved. See the marked lines.`,
+          "error",
+        );
+      } else {
+        showMessage(`Error setting patterns.`, "error");
+      }
+    },
+  );
+}
+
+/**
+ * Saves the exclude patterns of a pattern editor, marking the invalid lines
+ * if the background rejects them.
+ * @param {object} editor - The exclude pattern editor.
+ * @param {function(object): void} onSaved - Called with the response once saved.
+ */
+function sendExcludePatterns(editor, onSaved) {
+  const { patterns } = readPatternLines(editor.textarea);
+  chrome.runtime.sendMessage(
+    { action: "setExcludePatterns", patterns: patterns },
+    (response) => {
+      if (response.success) {
+        showMessage(
+          response.patterns.length > 0
+            ? `Excluding ${response.patterns.length} patterns.`
+            : "No URLs excluded.",
+          "success",
+        );
+        onSaved(response);
+      } else if (response.errors) {
+        renderPatternErrors(editor, response.errors);
+        showMessage(
+          `${response.errors.length} invalid exclude patterns, nothing saved. See the marked lines.`,
+          "error",
+        );
+      } else {
+        showMessage(`Error setting exclude patterns.`, "error");
+      }
+    },
+  );
+}
+
+/**
+ * Reads comma-separated parameter keys to ignore.
+ * @param {string} value - The input value, e.g. "ref, utm_*, /^fb/".
+ * @returns {string[]} The trimmed, non-empty parameter keys.
+ */
+function parseIgnoredParams(value) {
+  return value
+    .split(",")
+    .map((p) => p.trim())
+    .filter((p) => p !== "");
+}
+
+/**
+ * Adds a checkbox for each URL simplification option to a container.
+ * @param {HTMLElement} container - The container, e.g. a fieldset.
+ * @param {function(): void} onChange - Called when an option is toggled.
+ */
+function renderNormalizationOptions(container, onChange) {
+  Object.entries(URL_NORMALIZATION_OPTIONS).forEach(([name, label]) => {
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.name = "normalizationOption";
+    checkbox.value = name;
+    checkbox.addEventListener("change", onChange);
+    const labelElement = document.createElement("label");
+    labelElement.append(checkbox, ` ${label}`);
+    container.appendChild(labelElement);
+  });
+}
+
+/**
+ * Reads the simplification options checked in a container.
+ * @param {HTMLElement} container - The container, see renderNormalizationOptions.
+ * @returns {object} The enabled options, e.g. `{stripFragment: true}`.
+ */
+function readNormalizationOptions(container) {
+  const options = {};
+  container
+    .querySelectorAll('input[name="normalizationOption"]:checked')
+    .forEach((checkbox) => (options[checkbox.value] = true));
+  return options;
+}
+
+/**
+ * Checks the simplification options that are enabled.
+ * @param {HTMLElement} container - The container, see renderNormalizationOptions.
+ * @param {object} options - The enabled options.
+ */
+function setNormalizationOptions(container, options) {
+  container
+    .querySelectorAll('input[name="normalizationOption"]')
+    .forEach(
+      (checkbox) => (checkbox.checked = options[checkbox.value] === true),
+    );
+}
+
+/**
+ * Saves the URL simplification settings. Pages save the ignored parameters
+ * once edited rather than on every keystroke, as every save re-keys the
+ * project's URLs and a half-typed name would ignore the wrong parameters.
+ * @param {boolean} isEnabled - Whether URLs are deduplicated by their simplified form.
+ * @param {string[]} params - The query parameters to ignore, or to keep.
+ * @param {object} options - The enabled simplification options, see normalizeUrl.
+ * @param {boolean} isNormalizedUrlStored - Whether the simplified form is shown
+ *   and exported instead of the URL first seen.
+ */
+function sendSimplificationSettings(
+  isEnabled,
+  params,
+  options,
+  isNormalizedUrlStored,
+) {
+  chrome.runtime.sendMessage(
+    {
+      action: "setSimplificationSettings",
+      isEnabled: isEnabled,
+      params: params,
+      options: options,
+      isNormalizedUrlStored: isNormalizedUrlStored,
+    },
+    (response) => {
+      if (response.success) {
+        showMessage("URL simplification settings updated.", "success");
+      } else if (response.errors) {
+        showMessage(
+          `Invalid parameter "${response.errors[0].pattern}": ${response.errors[0].message}`,
+          "error",
+        );
+      } else {
+        showMessage("Error updating simplification settings.", "error");
+      }
+    },
+  );
+}
+
+/**
+ * Filters records by a search: a case-insensitive substring of the URL, or
+ * a regex tested against it.
+ * @param {object[]} records - The records to filter.
+ * @param {string} query - The search, already trimmed; empty matches everything.
+ * @param {string} mode - "substring" or "regex".
+ * @returns {{records: object[], error: string|null}} The matching records, or all
+ *   of them and the error message if the regex is invalid.
+ */
+function filterRecordsBySearch(records, query, mode) {
+  if (query === "") {
+    return { records: records, error: null };
+  }
+  if (mode === "regex") {
+    let regex;
+    try {
+      regex = new RegExp(query, "i");
+    } catch (e) {
+      return { records: records, error: e.message };
+    }
+    return {
+      records: records.filter((record) => regex.test(record.url)),
+      error: null,
+    };
+  }
+  const needle = query.toLowerCase();
+  return {
+    records: records.filter((record) =>
+      record.url.toLowerCase().includes(needle),
+    ),
+    error: null,
+  };
+}
+
+/**
+ * Builds the one-line summary of where and how a URL was found.
+ * @param {object} record - A recorded URL record.
+ * @returns {string} The summary, e.g. "a[href] · 3 hits · Example Page".
+ */
+function describeRecord(record) {
+  const parts = [record.source || "unknown"];
+  if (record.role) {
+    parts.push(record.role);
+  }
+  if (record.navigation && record.navigation.transitionType) {
+    parts.push(record.navigation.transitionType);
+  }
+  parts.push(`${record.hits || 1} ${record.hits === 1 ? "hit" : "hits"}`);
+  if (record.pageTitle || record.pageUrl) {
+    parts.push(record.pageTitle || record.pageUrl);
+  }
+  return parts.join(" · ");
+}
+
+/**
+ * Formats a record timestamp for display.
+ * @param {number|null} timestamp - Milliseconds since the epoch, or null if unknown.
+ * @returns {string} The formatted date, or "unknown".
+ */
+function formatTimestamp(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : "unknown";
+}
+
+/**
+ * Saves text content to a file through a temporary download link.
+ * @param {string} content - The file content.
+ * @param {string} filename - The suggested file name.
+ * @param {string} [mimeType] - The content type of the file.
+ */
+function downloadTextFile(content, filename, mimeType = "text/plain") {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Copies text to the clipboard through a temporary, off-screen textarea.
+ * @param {string} text - The text to copy.
+ * @returns {boolean} True if the text was copied.
+ */
+function copyTextToClipboard(text) {
+  const tempTextArea = document.createElement("textarea");
+  tempTextArea.value = text;
+  tempTextArea.style.position = "fixed";
+  tempTextArea.style.left = "-9999px";
+  tempTextArea.style.top = "-9999px";
+  document.body.appendChild(tempTextArea);
+  tempTextArea.focus();
+  tempTextArea.select();
+  const success = document.execCommand("copy");
+  document.body.removeChild(tempTextArea);
+  return success;
+}
+
+/**
+ * Fetches every recorded URL from the background, one page at a time.
+ * @param {function(object[]|null): void} callback - Called with all records, or null on failure.
+ * @param {number} offset - The offset of the next page to fetch.
+ * @param {object[]} collected - The records fetched so far.
+ */
+function fetchAllRecordedUrls(callback, offset = 0, collected = []) {
+  chrome.runtime.sendMessage(
+    { action: "getRecordedUrls", offset: offset, limit: RECORDS_PAGE_SIZE },
+    (response) => {
+      if (!response || !response.urls) {
+        callback(null);
+        return;
+      }
+      collected.push(...response.urls);
+      if (response.urls.length < RECORDS_PAGE_SIZE) {
+        callback(collected);
+      } else {
+        fetchAllRecordedUrls(
+          callback,
+          offset + response.urls.length,
+          collected,
+        );
+      }
+    },
+  );
+}
+
+/**
+ * Fills a project picker with the projects, marking the inactive ones.
+ * @param {HTMLSelectElement} select - The picker.
+ * @param {{id: string, name: string, isActive: boolean}[]} projects - The projects,
+ *   as sent with getRecordedUrls.
+ * @param {string} selectedId - The id of the project to select.
+ */
+function renderProjectSelect(select, projects, selectedId) {
+  select.innerHTML = "";
+  projects.forEach((project) => {
+    const option = document.createElement("option");
+    option.value = project.id;
+    option.textContent = project.isActive
+      ? project.name
+      : `${project.name} (not recording)`;
+    select.appendChild(option);
+  });
+  select.value = selectedId;
+}
+
+/**
+ * Makes a project the current one, the one the extension pages show and edit.
+ * @param {string} projectId - The project id.
+ * @param {function(): void} onSwitched - Called once the project is current.
+ */
+function switchProject(projectId, onSwitched) {
+  chrome.runtime.sendMessage(
+    { action: "setCurrentProject", projectId: projectId },
+    (response) => {
+      if (response && response.success) {
+        onSwitched();
+      } else {
+        showMessage("Failed to switch projects.", "error");
+      }
+    },
+  );
+}
+
+/**
+ * Fills the export format picker and keeps the export options saved, so the
+ * popup and the dashboard share them. The template input is only shown for
+ * the custom template format.
+ * @param {object} controls - The export controls (formatSelect, templateInput and shownOnlyToggle).
+ */
+function initExportControls(controls) {
+  Object.entries(EXPORT_FORMATS).forEach(([name, format]) => {
+    const option = document.createElement("option");
+    option.value = name;
+    option.textContent = format.label;
+    controls.formatSelect.appendChild(option);
+  });
+  controls.templateInput.placeholder = DEFAULT_EXPORT_TEMPLATE;
+
+  const updateTemplateVisibility = () => {
+    controls.templateInput.style.display =
+      controls.formatSelect.value === "template" ? "" : "none";
+  };
+  const saveExportOptions = () => {
+    updateTemplateVisibility();
+    chrome.storage.local.set({
+      exportOptions: {
+        format: controls.formatSelect.value,
+        template: controls.templateInput.value,
+        isShownOnly: controls.shownOnlyToggle.checked,
+      },
+    });
+  };
+
+  chrome.storage.local.get("exportOptions", (result) => {
+    const options = result.exportOptions || {};
+    if (EXPORT_FORMATS[options.format]) {
+      controls.formatSelect.value = options.format;
+    }
+    controls.templateInput.value = options.template || "";
+    controls.shownOnlyToggle.checked = options.isShownOnly || false;
+    updateTemplateVisibility();
+  });
+  controls.formatSelect.addEventListener("change", saveExportOptions);
+  controls.templateInput.addEventListener("input", saveExportOptions);
+  controls.shownOnlyToggle.addEventListener("change", saveExportOptions);
+}
+
+/**
+ * Downloads or copies the recorded URLs in the picked export format: the
+ * records shown on the page, or all recorded ones.
+ * @param {object} controls - The export controls, see initExportControls.
+ * @param {object[]} shownRecords - The records shown on the page, in their shown order.
+ * @param {string} mode - "download" or "copy".
+ */
+function exportRecordsWithControls(controls, shownRecords, mode) {
+  const exportRecords = (records) => {
+    if (records.length === 0) {
+      showMessage(
+        mode === "download" ? "No URLs to download." : "No URLs to copy.",
+        "info",
+      );
+      return;
+    }
+    const format = controls.formatSelect.value;
+    const { content, filename, mimeType } = buildExport(
+      records,
+      format,
+      controls.templateInput.value || DEFAULT_EXPORT_TEMPLATE,
+    );
+    const label = EXPORT_FORMATS[format].label;
+    if (mode === "download") {
+      downloadTextFile(content, filename, mimeType);
+      showMessage(`Downloaded ${records.length} URLs as ${label}.`, "success");
+    } else if (copyTextToClipboard(content)) {
+      showMessage(
+        `Copied ${records.length} URLs to clipboard as ${label}.`,
+        "success",
+      );
+    } else {
+      showMessage("Failed to copy URLs to clipboard.", "error");
+    }
+  };
+
+  if (controls.shownOnlyToggle.checked) {
+    exportRecords(shownRecords);
+    return;
+  }
+  fetchAllRecordedUrls((records) => {
+    if (records) {
+      exportRecords(records);
+    } else {
+      showMessage("Failed to retrieve URLs for export.", "error");
+    }
+  });
+}
+
+/**
+ * Imports a URL list file and shows the summary report. Needs importers.js.
+ * @param {File} file - A text, CSV, JSON, JSON Lines or HAR file, see importers.js.
+ * @param {boolean} isPatternFilterBypassed - Whether URLs matching no target pattern are imported too.
+ * @param {HTMLElement} reportElement - Where the summary report is shown.
+ * @param {function(object): void} [onImported] - Called with the report once the URLs are written.
+ */
+function importUrlFile(
+  file,
+  isPatternFilterBypassed,
+  reportElement,
+  onImported = () => {},
+) {
+  file.text().then((text) => {
+    let entries;
+    try {
+      entries = parseImportFile(text, file.name);
+    } catch (e) {
+      showMessage(`Failed to read ${file.name}: ${e.message}`, "error");
+      return;
+    }
+    chrome.runtime.sendMessage(
+      {
+        action: "importUrls",
+        urls: entries,
+        bypassPatterns: isPatternFilterBypassed,
+      },
+      (response) => {
+        if (response && response.success) {
+          reportElement.textContent =
+            `${file.name}: ${response.imported} imported, ` +
+            `${response.duplicates} duplicates skipped, ` +
+            `${response.filtered} not matching the patterns or excluded, ` +
+            `${response.invalid} invalid lines.`;
+          showMessage(`Imported ${response.imported} URLs.`, "success");
+          onImported(response);
+        } else {
+          showMessage("Failed to import URLs.", "error");
+        }
+      },
+    );
+  });
+}